@@ -0,0 +1,105 @@
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { DEFAULT_MODE, GAME_MODES, dailyChallengeDay, isGameMode } from './game/modes.js';
+import { runReplay, validateReplay } from './game/replay.js';
+import { dayKey, weekKey } from './shared/periods.js';
+import {
+    APP_ID_PATTERN,
+    MAX_REPLAY_INPUTS_LENGTH,
+    MAX_REPLAY_TICKS,
+    sanitizeName,
+    takeRateLimitSlot,
+} from './submissions.js';
+
+initializeApp();
+const db = getFirestore();
+
+// --- submitScore ---
+// The only way onto the leaderboards. The client sends its claimed score
+// with the game mode and a replay of the run; the run is re-simulated here
+// with the mode's official rules and the score is only written if the replay
+// reproduces it and ends in a game over. Writes the high score to the mode's
+// leaderboard (stamped with the day and week it was set in, for the periodic
+// boards), the replay and the personal best.
+//
+// A daily challenge run must be of today's (or, just after midnight,
+// yesterday's) challenge, and only the first one a player submits for a day
+// is taken. Its score is stamped with the challenge's day.
+export const submitScore = onCall(async (request) => {
+    const userId = request.auth?.uid;
+    if (!userId) throw new HttpsError('unauthenticated', 'Sign in to submit a score.');
+
+    const { appId, mode = DEFAULT_MODE, name, score, replay } = request.data ?? {};
+    if (typeof appId !== 'string' || !APP_ID_PATTERN.test(appId)) {
+        throw new HttpsError('invalid-argument', 'Invalid app id.');
+    }
+    if (!isGameMode(mode) || !GAME_MODES[mode].leaderboard) {
+        throw new HttpsError('invalid-argument', 'Invalid game mode.');
+    }
+    const gameMode = GAME_MODES[mode];
+    const cleanName = sanitizeName(name);
+    if (!cleanName) throw new HttpsError('invalid-argument', 'Enter a name.');
+    if (!Number.isInteger(score) || score < 0) throw new HttpsError('invalid-argument', 'Invalid score.');
+    try {
+        validateReplay(replay, { maxTicks: MAX_REPLAY_TICKS, maxInputsLength: MAX_REPLAY_INPUTS_LENGTH });
+    } catch (error) {
+        throw new HttpsError('invalid-argument', error.message);
+    }
+    if (replay.mode !== mode) throw new HttpsError('invalid-argument', 'The replay is of another game mode.');
+    const now = new Date();
+    const day = gameMode.daily ? dailyChallengeDay(replay.seed, now) : dayKey(now);
+    if (!day) throw new HttpsError('failed-precondition', "That daily challenge is over.");
+
+    // Rate-limit before the expensive part.
+    const rateLimitRef = db.doc(`artifacts/${appId}/rateLimits/${userId}`);
+    await db.runTransaction(async (tx) => {
+        const snap = await tx.get(rateLimitRef);
+        const recent = takeRateLimitSlot(snap.exists ? snap.data().recent : [], Date.now());
+        if (!recent) throw new HttpsError('resource-exhausted', 'Too many submissions. Try again later.');
+        tx.set(rateLimitRef, { recent });
+    });
+
+    let result;
+    try {
+        result = runReplay(replay, { rules: gameMode.rules });
+    } catch (error) {
+        throw new HttpsError('invalid-argument', error.message);
+    }
+    if (!result.over || result.score !== score) {
+        throw new HttpsError('failed-precondition', 'The replay does not reproduce this score.');
+    }
+
+    const scoreRef = db.collection(`artifacts/${appId}/public/data/${gameMode.leaderboard}`).doc();
+    const replayRef = db.doc(`artifacts/${appId}/public/data/replays/${scoreRef.id}`);
+    const personalBestRef = db.doc(`artifacts/${appId}/users/${userId}/personalHighScores/${gameMode.personalBest}`);
+    const attemptRef = gameMode.daily ? db.doc(`artifacts/${appId}/dailyAttempts/${userId}_${day}`) : null;
+    await db.runTransaction(async (tx) => {
+        const [best, attempt] = await Promise.all([tx.get(personalBestRef), attemptRef && tx.get(attemptRef)]);
+        if (attempt?.exists) {
+            throw new HttpsError('failed-precondition', "You've already had your ranked attempt at this daily challenge.");
+        }
+        if (attemptRef) tx.set(attemptRef, { scoreId: scoreRef.id });
+        tx.set(scoreRef, {
+            userId,
+            name: cleanName,
+            score,
+            wave: result.wave,
+            day,
+            week: weekKey(now),
+            timestamp: FieldValue.serverTimestamp(),
+        });
+        // Only the fields that were checked, and the rules it was verified by.
+        const { version, seed, tickMs, ticks, inputs } = replay;
+        tx.set(replayRef, {
+            userId,
+            scoreId: scoreRef.id,
+            replay: { version, seed, mode, rules: gameMode.rules, tickMs, ticks, inputs },
+        });
+        if (!best.exists || best.data().score < score) {
+            tx.set(personalBestRef, { score, scoreId: scoreRef.id });
+        }
+    });
+
+    return { id: scoreRef.id, name: cleanName, score };
+});
@@ -0,0 +1,39 @@
+// --- Score Submission Checks ---
+// Plain helpers used by submitScore, kept apart from the Firebase wiring.
+
+export const NAME_MAX_LENGTH = 16;
+export const APP_ID_PATTERN = /^[\w-]{1,64}$/;
+
+// Two hours of play at 60 ticks a second.
+export const MAX_REPLAY_TICKS = 2 * 60 * 60 * 60;
+
+// The stored replay has to fit in a Firestore document (1 MiB), with room
+// left for the rest of it. Inputs are ASCII, so characters are bytes.
+export const MAX_REPLAY_INPUTS_LENGTH = 900 * 1000;
+
+export const RATE_LIMIT = {
+    minIntervalMs: 30 * 1000,
+    windowMs: 60 * 60 * 1000,
+    maxPerWindow: 20,
+};
+
+// Display names are shown to everyone: keep printable characters only,
+// collapse whitespace, and cap the length. Returns '' if nothing is left.
+export const sanitizeName = (name) => {
+    if (typeof name !== 'string') return '';
+    const cleaned = name
+        .normalize('NFKC')
+        .replace(/\s+/g, ' ')
+        .replace(/[\p{C}<>]/gu, '')
+        .trim();
+    return Array.from(cleaned).slice(0, NAME_MAX_LENGTH).join('').trim();
+};
+
+// Given the times of a user's earlier submissions, returns the list to store
+// with this one added, or null if this one is over the limit.
+export const takeRateLimitSlot = (recent, now) => {
+    const inWindow = recent.filter((time) => now - time < RATE_LIMIT.windowMs);
+    const last = Math.max(...inWindow, -Infinity);
+    if (now - last < RATE_LIMIT.minIntervalMs || inWindow.length >= RATE_LIMIT.maxPerWindow) return null;
+    return [...inWindow, now];
+};
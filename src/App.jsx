@@ -1,28 +1,179 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useCallback, useMemo, useReducer } from 'react';
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInWithCustomToken, signInAnonymously, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, collection, query, limit, addDoc, onSnapshot, doc, getDoc, setDoc } from 'firebase/firestore';
-import { nanoid } from 'nanoid';
+import { getAuth, signInWithCustomToken, signInAnonymously, onAuthStateChanged, connectAuthEmulator } from 'firebase/auth';
+import { getFirestore, onSnapshot, doc, connectFirestoreEmulator } from 'firebase/firestore';
+import { getFunctions, connectFunctionsEmulator } from 'firebase/functions';
+import { createSound } from './audio/sound.js';
+import GameOver from './components/GameOver.jsx';
+import Leaderboard from './components/Leaderboard.jsx';
+import Lobby from './components/Lobby.jsx';
+import ModeSelect from './components/ModeSelect.jsx';
+import PauseMenu from './components/PauseMenu.jsx';
+import Profile from './components/Profile.jsx';
+import SaveStatus from './components/SaveStatus.jsx';
+import Settings from './components/Settings.jsx';
+import TouchControls from './components/TouchControls.jsx';
+import { createGame, createInputs, step, EXPLOSION_DURATION, TICK_MS } from './game/engine.js';
+import { createLoop } from './game/loop.js';
+import { DEFAULT_MODE, GAME_MODES, dailySeed } from './game/modes.js';
+import { POWERUP_TYPES, activeEffects } from './game/powerups.js';
+import { REPLAY_VERSION, createPlayback, createRecorder, encodeReplay, quantizeInputs, recordTick } from './game/replay.js';
+import { randomSeed } from './game/rng.js';
+import { createInputController } from './input/controller.js';
+import { createView, applyFrames } from './net/frames.js';
+import { createGuestLink, createHostLink } from './net/link.js';
+import { MULTIPLAYER_MODES } from './net/rooms.js';
+import { ACHIEVEMENTS, checkAchievements } from './profile/achievements.js';
+import { addRunToProfile, createRunStats, finishRun, recordEvents } from './profile/stats.js';
+import { createRenderer } from './render/renderer.js';
+import { powerupColor, themeById } from './render/themes.js';
+import { fitViewport } from './render/viewport.js';
+import { INITIAL_SCREEN, transition } from './screens.js';
+import { loadSettings, saveSettings } from './settings.js';
+import { dayKey } from './shared/periods.js';
+import { hasAttemptedDaily, recordDailyAttempt } from './storage/dailyAttempts.js';
+import { createFirestoreBackend } from './storage/firestoreBackend.js';
+import { createLocalBackend, localPlayerId } from './storage/localBackend.js';
+import { createProfileStore } from './storage/profileStore.js';
+import { createScoreStore } from './storage/scoreStore.js';
 
 // Global variables provided by the canvas environment.
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-const firebaseConfig = JSON.parse(typeof __firebase_config !== 'undefined' ? __firebase_config : '{}');
 const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : '';
+// Set VITE_FIREBASE_EMULATORS=true to run against `npm run emulators`. Without
+// a config of its own the app then uses the emulators' demo project.
+const useEmulators = import.meta.env.VITE_FIREBASE_EMULATORS === 'true';
+const firebaseConfig = typeof __firebase_config !== 'undefined'
+    ? JSON.parse(__firebase_config)
+    : (useEmulators ? { projectId: 'demo-asteroid-shooter', apiKey: 'demo-key' } : {});
+
+// Room left around the field for the HUD and, in a window, the page margins.
+const WINDOWED_HUD_ROOM = { x: 20, y: 200 };
+const FULLSCREEN_HUD_ROOM = { x: 0, y: 100 };
+
+// One line summing up a finished match, for the lobby.
+const describeMatch = (game, { mode, role }) => {
+    if (mode === 'coop') return `CO-OP GAME OVER: ${game.score} POINTS, WAVE ${game.wave}`;
+    const [hostScore, guestScore] = game.ships.map((ship) => ship.score);
+    if (hostScore === guestScore) return `DRAW: ${hostScore} - ${guestScore}`;
+    const won = (hostScore > guestScore) === (role === 'host');
+    return `${won ? 'YOU WIN' : 'YOU LOSE'}: ${hostScore} - ${guestScore}`;
+};
+
+// Whether losing a ship costs a life. A multiplayer guest's view is made
+// with the default rules, which have lives, as every match does.
+const hasLimitedLives = (game) => game.rules.limitedLives && game.rules.shipsCanDie;
+
+const pluralLives = (lives) => `${lives} ${lives === 1 ? 'life' : 'lives'}`;
+
+// What the screen reader's live region says about a tick's events: waves,
+// the local ship's lives and the end of the game. `lives` is null when the
+// game has none to count. The score is also said every
+// SCORE_ANNOUNCEMENT_STEP points; see announceScore().
+const describeEvents = (game, localShip, lives) => game.events.map((event) => {
+    switch (event.type) {
+        case 'waveStarted':
+            return `Wave ${event.wave}. Score ${game.score}.`;
+        case 'shipDestroyed':
+            if (event.ship !== localShip.index) return null;
+            return lives === null ? 'Ship lost.' : `Ship lost. ${pluralLives(lives)} left.`;
+        case 'extraLife':
+            return event.ship === localShip.index && lives !== null ? `Extra life. ${pluralLives(lives)}.` : null;
+        case 'gameOver':
+            return `Game over. Final score ${game.score}, wave ${game.wave}.`;
+        default:
+            return null;
+    }
+}).filter(Boolean).join(' ');
+
+const SCORE_ANNOUNCEMENT_STEP = 5000;
+
+// The score to announce, if it has reached `next` (a multiple of
+// SCORE_ANNOUNCEMENT_STEP) and isn't already said by this tick's wave or
+// game over message, and the next score to announce at.
+const announceScore = (game, next) => {
+    if (game.score < next) return { message: '', next };
+    const following = (Math.floor(game.score / SCORE_ANNOUNCEMENT_STEP) + 1) * SCORE_ANNOUNCEMENT_STEP;
+    const alreadySaid = game.events.some((event) => event.type === 'waveStarted' || event.type === 'gameOver');
+    return { message: alreadySaid ? '' : `Score ${game.score}.`, next: following };
+};
+
+const reducedMotionQuery = typeof window !== 'undefined' ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+// 125 -> '2:05'
+const formatTime = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+// Phones and tablets get the on-screen controls instead of mouse aiming.
+const isTouchDevice = typeof window !== 'undefined' && window.matchMedia('(pointer: coarse)').matches;
 
 const App = () => {
     const canvasRef = useRef(null);
-    const [gameState, setGameState] = useState('start'); // 'start', 'playing', 'gameOver'
+    // The HUD and field together, which is what goes fullscreen.
+    const playfieldRef = useRef(null);
+    // The screen showing, changed only by sending it events; see screens.js.
+    const [gameState, send] = useReducer(transition, INITIAL_SCREEN);
+    const [session, setSession] = useState(0);
+    // The single-player mode last chosen, and whether its current run can
+    // go on the leaderboard.
+    const [mode, setMode] = useState(DEFAULT_MODE);
+    const modeRef = useRef(mode);
+    modeRef.current = mode;
+    const [ranked, setRanked] = useState(true);
     const [score, setScore] = useState(0);
     const [lives, setLives] = useState(3);
-    const [name, setName] = useState('');
-    const [highScores, setHighScores] = useState([]);
-    const [personalBest, setPersonalBest] = useState(0);
+    // Whether losing a ship costs a life, so the HUD shows them.
+    const [hasLives, setHasLives] = useState(true);
+    // Whole seconds left when the game has a time limit, else null.
+    const [timeLeft, setTimeLeft] = useState(null);
+    const [wave, setWave] = useState(1);
+    const [effects, setEffects] = useState([]);
+    // Each ship's score and lives, for the versus HUD.
+    const [shipScores, setShipScores] = useState([]);
+    const [matchResult, setMatchResult] = useState(null);
+    // The ghost's score while racing one, else null.
+    const [ghostScore, setGhostScore] = useState(null);
+    const [profileStore] = useState(createProfileStore);
+    const [profile, setProfile] = useState(profileStore.get);
+    const [achievementToast, setAchievementToast] = useState(null);
+    const [name, setName] = useState(() => profileStore.get().name);
+    const [localBackend] = useState(createLocalBackend);
+    const [scoreStore] = useState(() => createScoreStore(localBackend));
+    const [syncStatus, setSyncStatus] = useState(scoreStore.status);
+    const [saveStatus, setSaveStatus] = useState(null);
+    // In the current mode.
+    const [personalBest, setPersonalBest] = useState(() => localBackend.personalBest(DEFAULT_MODE));
     const [isAuthReady, setIsAuthReady] = useState(false);
+    const [isSignedIn, setIsSignedIn] = useState(false);
     const [db, setDb] = useState(null);
     const [auth, setAuth] = useState(null);
-    const [userId, setUserId] = useState(null);
-    const gameLoopId = useRef(null);
-    const powerupTimerId = useRef(null);
+    const [functions, setFunctions] = useState(null);
+    const [userId, setUserId] = useState(localPlayerId);
+    const gameRef = useRef(null);
+    // The multiplayer match being played, or null in single player:
+    // { role: 'host' | 'guest', code, mode, db, idle }. `idle` is set while
+    // the menu is open, since a match can't be paused.
+    const netRef = useRef(null);
+    // The replay being watched, or null: { playback, name, score, replay }.
+    const playbackRef = useRef(null);
+    // The personal best's { score, replay } to race as a ghost, once loaded.
+    const ghostRef = useRef(null);
+    const recorderRef = useRef(null);
+    const loopRef = useRef(null);
+    const controllerRef = useRef(null);
+    const rendererRef = useRef(null);
+    const touchControlsRef = useRef({ aim: null, thrust: false, fire: false });
+    const [settings, setSettings] = useState(loadSettings);
+    const settingsRef = useRef(settings);
+    settingsRef.current = settings;
+    const soundRef = useRef(null);
+    // The device's reduced motion preference, which settings may override.
+    const [systemReducedMotion, setSystemReducedMotion] = useState(() => reducedMotionQuery?.matches ?? false);
+    const reducedMotion = settings.reducedMotion === 'system' ? systemReducedMotion : settings.reducedMotion === 'on';
+    const reducedMotionRef = useRef(reducedMotion);
+    reducedMotionRef.current = reducedMotion;
+    // The latest screen-reader announcement. `id` counts them, so that the
+    // same text said twice is still announced twice.
+    const [announcement, setAnnouncement] = useState({ id: 0, text: '' });
 
     // --- Firebase Initialization and Auth ---
     useEffect(() => {
@@ -32,8 +183,15 @@ const App = () => {
                     const app = initializeApp(firebaseConfig);
                     const firestore = getFirestore(app);
                     const authInstance = getAuth(app);
+                    const functionsInstance = getFunctions(app);
+                    if (useEmulators) {
+                        connectFirestoreEmulator(firestore, '127.0.0.1', 8080);
+                        connectAuthEmulator(authInstance, 'http://127.0.0.1:9099');
+                        connectFunctionsEmulator(functionsInstance, '127.0.0.1', 5001);
+                    }
                     setDb(firestore);
                     setAuth(authInstance);
+                    setFunctions(functionsInstance);
 
                     if (initialAuthToken) {
                         await signInWithCustomToken(authInstance, initialAuthToken);
@@ -51,465 +209,498 @@ const App = () => {
     useEffect(() => {
         if (auth) {
             const unsubscribe = onAuthStateChanged(auth, (user) => {
-                if (user) {
-                    setUserId(user.uid);
-                } else {
-                    setUserId(nanoid()); // Use a temporary ID if no user
-                }
+                // Without a signed-in user, scores stay on this device under
+                // the stable local id until one signs in.
+                setUserId(user ? user.uid : localPlayerId());
+                setIsSignedIn(!!user);
                 setIsAuthReady(true);
             });
             return () => unsubscribe();
         }
     }, [auth]);
 
-    // --- High Score and Personal Best Leaderboard Listeners ---
+    // --- Personal Best Listener ---
+    // The leaderboards themselves are queried by the Leaderboard screen.
     useEffect(() => {
-        if (!isAuthReady || !db || !userId) return;
+        setPersonalBest(localBackend.personalBest(mode));
+        const { personalBest: personalBestDoc } = GAME_MODES[mode];
+        if (!isAuthReady || !db || !userId || !personalBestDoc) return;
 
-        // Listen for global high scores
-        const highScoresCollection = collection(db, `artifacts/${appId}/public/data/highscores`);
-        const q = query(highScoresCollection, limit(100)); // Fetch enough to sort locally
-
-        const unsubscribeHighScores = onSnapshot(q, (snapshot) => {
-            const scoresData = [];
-            snapshot.forEach((doc) => {
-                scoresData.push({ id: doc.id, ...doc.data() });
-            });
-            scoresData.sort((a, b) => b.score - a.score);
-            setHighScores(scoresData.slice(0, 10)); // Display top 10
+        const personalBestDocRef = doc(db, `artifacts/${appId}/users/${userId}/personalHighScores/${personalBestDoc}`);
+        const unsubscribePersonalBest = onSnapshot(personalBestDocRef, (docSnap) => {
+            const remoteBest = docSnap.exists() ? docSnap.data().score : 0;
+            setPersonalBest(Math.max(remoteBest, localBackend.personalBest(mode)));
         });
 
-        // Listen for personal best score
-        const personalBestDocRef = doc(db, `artifacts/${appId}/users/${userId}/personalHighScores/best`);
-        const unsubscribePersonalBest = onSnapshot(personalBestDocRef, (docSnap) => {
-            if (docSnap.exists()) {
-                setPersonalBest(docSnap.data().score);
-            } else {
-                setPersonalBest(0);
-            }
+        return () => unsubscribePersonalBest();
+    }, [isAuthReady, db, userId, localBackend, mode]);
+
+    // --- Score Storage ---
+    // Scores always go to the local backend first; the Firestore backend is
+    // the upload target and leaderboard once Firebase is up and signed in.
+    const remoteBackend = useMemo(
+        () => (db && functions && isSignedIn ? createFirestoreBackend({ db, functions, appId }) : null),
+        [db, functions, isSignedIn],
+    );
+    const leaderboardBackend = remoteBackend ?? localBackend;
+
+    useEffect(() => scoreStore.subscribe(setSyncStatus), [scoreStore]);
+
+    useEffect(() => {
+        scoreStore.setRemote(remoteBackend);
+        return () => scoreStore.setRemote(null);
+    }, [scoreStore, remoteBackend]);
+
+    // Whichever of this device's and the server's personal bests in the
+    // current mode is higher, reloaded whenever the personal best changes.
+    useEffect(() => {
+        let cancelled = false;
+        ghostRef.current = null;
+        if (!GAME_MODES[mode].personalBest) return;
+        const backends = remoteBackend ? [localBackend, remoteBackend] : [localBackend];
+        Promise.all(backends.map((backend) => backend.fetchPersonalBestReplay(mode, userId).catch((error) => {
+            console.error("Failed to load personal best replay:", error);
+            return null;
+        }))).then((bests) => {
+            if (cancelled) return;
+            // Runs recorded by an older version of the game won't replay.
+            ghostRef.current = bests
+                .filter((candidate) => candidate?.replay.version === REPLAY_VERSION)
+                .reduce((best, candidate) => (!best || candidate.score > best.score ? candidate : best), null);
         });
+        return () => {
+            cancelled = true;
+        };
+    }, [personalBest, localBackend, remoteBackend, userId, mode]);
 
+    // --- Player Profile ---
+    // Kept on this device and mirrored to the player's Firestore profile
+    // document once they're signed in.
+    useEffect(() => profileStore.subscribe(setProfile), [profileStore]);
+
+    useEffect(() => {
+        profileStore.setRemote(remoteBackend, userId);
+        return () => profileStore.setRemote(null);
+    }, [profileStore, remoteBackend, userId]);
+
+    const updateProfileName = (value) => {
+        setName(value);
+        profileStore.update((current) => ({ ...current, name: value }));
+    };
+
+    // Each unlock is announced for a few seconds.
+    useEffect(() => {
+        if (!achievementToast) return;
+        const timer = setTimeout(() => setAchievementToast(null), 3000);
+        return () => clearTimeout(timer);
+    }, [achievementToast]);
+
+    // Retry the queue as soon as the connection comes back.
+    useEffect(() => {
+        window.addEventListener('online', scoreStore.sync);
+        return () => window.removeEventListener('online', scoreStore.sync);
+    }, [scoreStore]);
+
+    // --- Sound ---
+    // One sound engine per mount, shared by every game session.
+    useEffect(() => {
+        const sound = createSound();
+        sound.setVolumes(settingsRef.current.audio);
+        soundRef.current = sound;
         return () => {
-            unsubscribeHighScores();
-            unsubscribePersonalBest();
+            sound.dispose();
+            soundRef.current = null;
         };
-    }, [isAuthReady, db, userId]);
+    }, []);
+
+    useEffect(() => {
+        soundRef.current?.setVolumes(settings.audio);
+    }, [settings.audio]);
 
     // --- Game Logic ---
+    // Runs once per game session. Score and lives are pushed to React state for
+    // the HUD but are not dependencies, so a hit never restarts the loop.
+    // Pausing keeps the session (and this effect) alive; see the effect below.
+    const inSession = gameState === 'playing' || gameState === 'paused';
     useEffect(() => {
-        if (gameState !== 'playing') {
-            if (gameLoopId.current) cancelAnimationFrame(gameLoopId.current);
-            return;
-        }
+        if (!inSession) return;
 
         const canvas = canvasRef.current;
         const ctx = canvas.getContext('2d');
-
-        // Game state variables
-        const SHIP_SIZE = 30;
-        const ASTEROID_SPEED_MOD = 1.0;
-        const ASTEROID_SPAWN_INTERVAL = 1000;
-        const MAX_ASTEROIDS = 10;
-        const BULLET_SPEED = 5;
-        let lastAsteroidSpawn = 0;
-        let lastShotTime = 0;
-        let shotCooldown = 250;
-        let powerupDuration = 5000;
-        let powerupActive = false;
-        let powerupEndTime;
-
-        // Game objects
-        let ship = {
-            x: canvas.width / 2,
-            y: canvas.height / 2,
-            r: SHIP_SIZE / 2,
-            a: Math.PI / 2,
-            thrust: { x: 0, y: 0 },
-            turn_rate: 0,
-            velocity: { x: 0, y: 0 },
-            friction: 0.98
+        const game = gameRef.current;
+        const net = netRef.current;
+        const watching = playbackRef.current;
+        const localShip = game.ships[net?.role === 'guest' ? 1 : 0];
+        // Practice modes don't count towards the profile.
+        const countsStats = !net && !watching && GAME_MODES[modeRef.current].leaderboard !== null;
+        // The personal best, replayed in step with this run.
+        const ghost = !net && !watching && settingsRef.current.ghost && ghostRef.current
+            ? createPlayback(ghostRef.current.replay)
+            : null;
+        const controller = createInputController({
+            bindings: settingsRef.current.keyBindings,
+            canvas,
+            touch: touchControlsRef.current,
+            usePointer: !isTouchDevice,
+            onPause: () => send('togglePause'),
+        });
+        // Stats and achievements for this run. The run is added to the
+        // profile when the session ends, however it ends.
+        const run = createRunStats();
+        let shownScore = game.score;
+        let shownLives = game.lives;
+        let shownWave = game.wave;
+        let shownEffects = '';
+        let shownShipScores = '';
+        let shownGhostScore = null;
+        let shownTimeLeft = null;
+        let nextScoreAnnouncement = SCORE_ANNOUNCEMENT_STEP;
+
+        const renderer = createRenderer(ctx);
+        renderer.setQuality(settingsRef.current.quality);
+        renderer.setTheme(settingsRef.current.theme);
+        renderer.setReducedMotion(reducedMotionRef.current);
+
+        // Sounds, visual effects and announcements for the last tick's events.
+        const handleEvents = () => {
+            renderer.addEvents(game);
+            const lives = !hasLimitedLives(game) ? null : (net?.mode === 'versus' ? localShip.lives : game.lives);
+            const score = announceScore(game, nextScoreAnnouncement);
+            nextScoreAnnouncement = score.next;
+            const message = [describeEvents(game, localShip, lives), score.message].filter(Boolean).join(' ');
+            if (message) setAnnouncement(({ id }) => ({ id: id + 1, text: message }));
+            const sound = soundRef.current;
+            if (!sound) return;
+            sound.play(game.events, game.width);
+            sound.update(game, localShip);
         };
-        let asteroids = [];
-        let bullets = [];
-        let powerups = [];
-
-        // --- Tone.js Audio Setup ---
-        const laserSynth = new window.Tone.Synth({
-            oscillator: { type: "sawtooth" },
-            envelope: {
-                attack: 0.001,
-                decay: 0.1,
-                sustain: 0.05,
-                release: 0.1
-            }
-        }).toDestination();
-
-        const explosionSynth = new window.Tone.NoiseSynth({
-            envelope: {
-                attack: 0.001,
-                decay: 0.2,
-                sustain: 0,
-                release: 0.1
-            }
-        }).toDestination();
-
-        const gameOverSynth = new window.Tone.Synth({
-            oscillator: { type: "square" },
-            envelope: {
-                attack: 0.01,
-                decay: 0.4,
-                sustain: 0.1,
-                release: 0.5
-            }
-        }).toDestination();
-
-        const update = () => {
-            // Check if power-up has expired
-            if (powerupActive && Date.now() > powerupEndTime) {
-                powerupActive = false;
-                shotCooldown = 250;
-                clearTimeout(powerupTimerId.current);
-            }
 
-            // Spawn new asteroids
-            if (Date.now() - lastAsteroidSpawn > ASTEROID_SPAWN_INTERVAL && asteroids.length < MAX_ASTEROIDS + Math.floor(score / 500)) {
-                createAsteroid();
-                lastAsteroidSpawn = Date.now();
-            }
+        const trackRun = () => {
+            recordEvents(run, game);
+            const unlocked = checkAchievements(profileStore.get(), run, game);
+            if (unlocked.length === 0) return;
+            const unlockedAt = Date.now();
+            profileStore.update((current) => ({
+                ...current,
+                achievements: { ...current.achievements, ...Object.fromEntries(unlocked.map((id) => [id, unlockedAt])) },
+            }));
+            setAchievementToast(unlocked.map((id) => ACHIEVEMENTS.find((achievement) => achievement.id === id).label).join(', '));
+        };
 
-            // Spawn power-ups occasionally
-            if (Math.random() < 0.001 && powerups.length < 1) {
-                createPowerUp();
+        const endGame = () => {
+            loop.stop();
+            if (net) {
+                link.close({ finished: true });
+                setMatchResult(describeMatch(game, net));
+                send('matchOver');
+            } else if (watching) {
+                send('replayOver');
+            } else {
+                send('gameOver');
             }
+        };
 
-            // Update ship position and velocity
-            ship.a += ship.turn_rate;
-            ship.velocity.x += Math.cos(ship.a) * ship.thrust.x;
-            ship.velocity.y -= Math.sin(ship.a) * ship.thrust.y;
-            ship.velocity.x *= ship.friction;
-            ship.velocity.y *= ship.friction;
-            ship.x += ship.velocity.x;
-            ship.y += ship.velocity.y;
-
-            // Wrap ship around the screen
-            if (ship.x < 0) ship.x = canvas.width;
-            if (ship.x > canvas.width) ship.x = 0;
-            if (ship.y < 0) ship.y = canvas.height;
-            if (ship.y > canvas.height) ship.y = 0;
-
-            // Update bullets
-            for (let i = bullets.length - 1; i >= 0; i--) {
-                const bullet = bullets[i];
-                bullet.x += bullet.velocity.x;
-                bullet.y += bullet.velocity.y;
-                if (bullet.x < 0 || bullet.x > canvas.width || bullet.y < 0 || bullet.y > canvas.height) {
-                    bullets.splice(i, 1);
+        // --- Multiplayer ---
+        // The host steps the shared game; the guest sends its inputs and
+        // draws the host's frames. A dropped partner ends the match.
+        let link = null;
+        if (net) {
+            const options = {
+                db: net.db,
+                appId,
+                code: net.code,
+                onDisconnect: (message) => {
+                    loop.stop();
+                    setMatchResult(message);
+                    send('matchOver');
+                },
+            };
+            link = net.role === 'host' ? createHostLink(options) : createGuestLink(options);
+        }
+        const handlePageHide = () => link.close({ finished: game.over });
+
+        const loop = createLoop({
+            tickMs: TICK_MS,
+            update: (dtMs) => {
+                if (watching) {
+                    // Runs were recorded up to leaving the field, so a replay
+                    // that runs out is over.
+                    if (!watching.playback.advance()) {
+                        endGame();
+                        return;
+                    }
+                    handleEvents();
+                    checkGameOver();
+                    return;
                 }
-            }
-
-            // Update asteroids
-            for (let i = asteroids.length - 1; i >= 0; i--) {
-                const asteroid = asteroids[i];
-                asteroid.x += asteroid.velocity.x;
-                asteroid.y += asteroid.velocity.y;
-                if (asteroid.x < 0 - asteroid.r) asteroid.x = canvas.width + asteroid.r;
-                if (asteroid.x > canvas.width + asteroid.r) asteroid.x = 0 - asteroid.r;
-                if (asteroid.y < 0 - asteroid.r) asteroid.y = canvas.height + asteroid.r;
-                if (asteroid.y > canvas.height + asteroid.r) asteroid.y = 0 - asteroid.r;
-
-                if (checkCollision(ship, asteroid)) {
-                    setLives(l => l - 1);
-                    resetShip();
-                    asteroids.splice(i, 1);
+                const now = performance.now();
+                const inputs = quantizeInputs(net?.idle ? createInputs() : controller.sample(localShip));
+                if (net?.role === 'guest') {
+                    link.sendInputs(inputs, now);
+                    return;
                 }
-
-                for (let j = bullets.length - 1; j >= 0; j--) {
-                    const bullet = bullets[j];
-                    if (checkCollision(bullet, asteroid)) {
-                        bullets.splice(j, 1);
-                        breakAsteroid(asteroid, i);
-                        setScore(s => s + 10);
-                    }
+                if (net) {
+                    step(game, [inputs, link.guestInputs()], dtMs);
+                    link.afterStep(game, now);
+                } else {
+                    recordTick(recorder, inputs);
+                    step(game, inputs, dtMs);
+                    ghost?.advance();
+                    if (countsStats) trackRun();
+                }
+                handleEvents();
+                checkGameOver();
+            },
+            render: (loopAlpha) => {
+                if (loop.isPaused()) controller.poll();
+                let alpha = loopAlpha;
+                if (net?.role === 'guest') {
+                    alpha = applyFrames(link.frames, game, performance.now());
+                    handleEvents();
+                    checkGameOver();
+                }
+                renderer.draw(game, alpha, viewport, { ghost: ghost?.state });
+                if (game.score !== shownScore) setScore(shownScore = game.score);
+                if (game.lives !== shownLives) setLives(shownLives = game.lives);
+                if (game.wave !== shownWave) setWave(shownWave = game.wave);
+
+                // The effects HUD counts down in whole seconds, so only push
+                // it to React when one of those numbers changes.
+                const active = activeEffects(game, localShip).map(({ kind, remainingMs }) => ({ kind, seconds: Math.ceil(remainingMs / 1000) }));
+                const effectsKey = active.map(({ kind, seconds }) => `${kind}:${seconds}`).join();
+                if (effectsKey !== shownEffects) {
+                    shownEffects = effectsKey;
+                    setEffects(active);
                 }
-            }
 
-            // Update powerups
-            for (let i = powerups.length - 1; i >= 0; i--) {
-                const powerup = powerups[i];
-                powerup.x += powerup.velocity.x;
-                powerup.y += powerup.velocity.y;
-                if (checkCollision(ship, powerup)) {
-                    activatePowerUp();
-                    powerups.splice(i, 1);
+                const shipScoresKey = game.ships.map(({ score, lives }) => `${score}:${lives}`).join();
+                if (shipScoresKey !== shownShipScores) {
+                    shownShipScores = shipScoresKey;
+                    setShipScores(game.ships.map(({ score, lives }) => ({ score, lives })));
                 }
-            }
-        };
+                if (ghost && ghost.state.score !== shownGhostScore) setGhostScore(shownGhostScore = ghost.state.score);
+                if (game.rules?.timeLimit) {
+                    const seconds = Math.max(0, Math.ceil((game.rules.timeLimit - game.time) / 1000));
+                    if (seconds !== shownTimeLeft) setTimeLeft(shownTimeLeft = seconds);
+                }
+            },
+        });
 
-        const draw = () => {
-            // Clear canvas
-            ctx.fillStyle = '#0d0d1a';
-            ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-            // Draw asteroids
-            asteroids.forEach(drawAsteroid);
-            // Draw powerups
-            powerups.forEach(drawPowerUp);
-            // Draw ship
-            drawShip();
-            // Draw bullets
-            bullets.forEach(drawBullet);
+        // Let the last wreck finish exploding before leaving the field. When
+        // time's up the game stops there and then.
+        const checkGameOver = () => {
+            const lastDeath = Math.max(...game.ships.map((ship) => ship.deathTime));
+            const timeUp = game.rules?.timeLimit > 0 && game.time >= game.rules.timeLimit;
+            if (game.over && (timeUp || game.time - lastDeath >= EXPLOSION_DURATION)) endGame();
         };
 
-        // --- Drawing Functions ---
-        const drawShip = () => {
-            ctx.save();
-            ctx.translate(ship.x, ship.y);
-            ctx.rotate(ship.a);
-            ctx.beginPath();
-            ctx.moveTo(0, -ship.r);
-            ctx.lineTo(-ship.r * 0.75, ship.r);
-            ctx.lineTo(ship.r * 0.75, ship.r);
-            ctx.closePath();
-            ctx.strokeStyle = powerupActive ? '#ff00ff' : '#00ff00';
-            ctx.lineWidth = 2;
-            ctx.stroke();
-            ctx.restore();
+        // Resizing, rotating or going fullscreen only rescales the view; the
+        // world and everything in it stay exactly as they were.
+        let viewport = null;
+        const handleResize = () => {
+            const fullscreen = document.fullscreenElement !== null;
+            const room = fullscreen ? FULLSCREEN_HUD_ROOM : WINDOWED_HUD_ROOM;
+            viewport = fitViewport(canvas, window.innerWidth - room.x, window.innerHeight - room.y, { fullscreen });
         };
 
-        const drawAsteroid = (asteroid) => {
-            ctx.beginPath();
-            ctx.strokeStyle = '#ffff00';
-            ctx.lineWidth = 2;
-            let angle = 0;
-            ctx.moveTo(
-                asteroid.x + asteroid.r * Math.cos(angle),
-                asteroid.y + asteroid.r * Math.sin(angle)
-            );
-            for (let i = 1; i < asteroid.sides; i++) {
-                angle += (Math.PI * 2) / asteroid.sides;
-                ctx.lineTo(
-                    asteroid.x + asteroid.r * Math.cos(angle),
-                    asteroid.y + asteroid.r * Math.sin(angle)
-                );
-            }
-            ctx.closePath();
-            ctx.stroke();
-        };
+        // Every run is recorded so its score can be verified by replaying it.
+        let recorder = null;
 
-        const drawBullet = (bullet) => {
-            ctx.beginPath();
-            ctx.arc(bullet.x, bullet.y, bullet.r, 0, Math.PI * 2);
-            ctx.fillStyle = '#ff00ff';
-            ctx.fill();
+        // Leaving the tab or window pauses the game.
+        const handleVisibilityChange = () => {
+            if (document.hidden) send('pause');
         };
+        const handleBlur = () => send('pause');
 
-        const drawPowerUp = (powerup) => {
-            ctx.beginPath();
-            ctx.arc(powerup.x, powerup.y, powerup.r, 0, Math.PI * 2);
-            ctx.fillStyle = '#ff00ff';
-            ctx.fill();
-            ctx.strokeStyle = '#fff';
-            ctx.lineWidth = 2;
-            ctx.stroke();
-            ctx.save();
-            ctx.translate(powerup.x, powerup.y);
-            ctx.strokeStyle = '#fff';
-            ctx.lineWidth = 2;
-            ctx.beginPath();
-            ctx.moveTo(-powerup.r * 0.5, 0);
-            ctx.lineTo(powerup.r * 0.5, 0);
-            ctx.moveTo(0, -powerup.r * 0.5);
-            ctx.lineTo(0, powerup.r * 0.5);
-            ctx.stroke();
-            ctx.restore();
-        };
+        window.addEventListener('resize', handleResize);
+        document.addEventListener('fullscreenchange', handleResize);
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        window.addEventListener('blur', handleBlur);
+        if (net) window.addEventListener('pagehide', handlePageHide);
+        controller.attach();
+        handleResize();
+        if (!net && !watching) {
+            recorder = createRecorder(game, modeRef.current);
+            recorderRef.current = recorder;
+        }
+        soundRef.current?.reset();
+        // Multiplayer keeps to real time for both players.
+        if (!net) loop.setSpeed(settingsRef.current.gameSpeed);
+        loop.start();
+        loopRef.current = loop;
+        controllerRef.current = controller;
+        rendererRef.current = renderer;
 
-        // --- Helper Functions ---
-        const createAsteroid = (x, y, r) => {
-            let newX, newY;
-            if (!x) {
-                if (Math.random() > 0.5) {
-                    newX = Math.random() < 0.5 ? 0 - (r || 50) : canvas.width + (r || 50);
-                    newY = Math.random() * canvas.height;
-                } else {
-                    newX = Math.random() * canvas.width;
-                    newY = Math.random() < 0.5 ? 0 - (r || 50) : canvas.height + (r || 50);
-                }
-            } else {
-                newX = x;
-                newY = y;
+        return () => {
+            loop.stop();
+            soundRef.current?.silence();
+            if (net) {
+                link.close({ finished: game.over });
+                window.removeEventListener('pagehide', handlePageHide);
+            } else if (countsStats && game.time > 0) {
+                finishRun(run, game);
+                profileStore.update((current) => addRunToProfile(current, run, game));
             }
-
-            asteroids.push({
-                x: newX,
-                y: newY,
-                r: r || 50,
-                sides: Math.floor(Math.random() * 5) + 5,
-                velocity: {
-                    x: (Math.random() - 0.5) * ASTEROID_SPEED_MOD,
-                    y: (Math.random() - 0.5) * ASTEROID_SPEED_MOD,
-                },
-            });
+            window.removeEventListener('resize', handleResize);
+            document.removeEventListener('fullscreenchange', handleResize);
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+            window.removeEventListener('blur', handleBlur);
+            controller.detach();
+            loopRef.current = null;
+            controllerRef.current = null;
+            rendererRef.current = null;
         };
+    }, [inSession, session, profileStore]);
 
-        const createPowerUp = () => {
-            powerups.push({
-                x: Math.random() * canvas.width,
-                y: Math.random() * canvas.height,
-                r: 15,
-                velocity: {
-                    x: (Math.random() - 0.5) * 0.5,
-                    y: (Math.random() - 0.5) * 0.5,
-                }
-            });
-        };
+    // Pausing freezes the simulation clock, and with it every gameplay timer.
+    // A multiplayer match can't stop for one player, so there the menu only
+    // leaves their ship idle.
+    useEffect(() => {
+        const loop = loopRef.current;
+        if (!loop) return;
+        const net = netRef.current;
+        if (gameState === 'paused') {
+            if (net) {
+                net.idle = true;
+            } else {
+                loop.pause();
+                soundRef.current?.silence();
+            }
+        } else if (loop.isPaused() || net?.idle) {
+            // The touch controls were hidden, so nothing released them.
+            Object.assign(touchControlsRef.current, { aim: null, thrust: false, fire: false });
+            controllerRef.current.clearPresses();
+            if (net) {
+                net.idle = false;
+            } else {
+                loop.resume();
+            }
+        }
+    }, [gameState, session]);
 
-        const activatePowerUp = () => {
-            powerupActive = true;
-            shotCooldown = 100;
-            powerupEndTime = Date.now() + powerupDuration;
-            powerupTimerId.current = setTimeout(() => {
-                powerupActive = false;
-                shotCooldown = 250;
-            }, powerupDuration);
-        };
+    // Bindings and graphics changed from the pause menu apply as soon as play
+    // resumes.
+    useEffect(() => {
+        controllerRef.current?.setBindings(settings.keyBindings);
+    }, [settings.keyBindings]);
 
-        const shootBullet = () => {
-            const now = Date.now();
-            if (now - lastShotTime > shotCooldown) {
-                bullets.push({
-                    x: ship.x,
-                    y: ship.y,
-                    r: 3,
-                    velocity: {
-                        x: Math.cos(ship.a) * BULLET_SPEED,
-                        y: -Math.sin(ship.a) * BULLET_SPEED
-                    }
-                });
-                laserSynth.triggerAttackRelease("C5", "16n");
-                lastShotTime = now;
-            }
-        };
+    useEffect(() => {
+        rendererRef.current?.setQuality(settings.quality);
+    }, [settings.quality]);
 
-        const checkCollision = (obj1, obj2) => {
-            const dx = obj1.x - obj2.x;
-            const dy = obj1.y - obj2.y;
-            const distance = Math.sqrt(dx * dx + dy * dy);
-            return distance < obj1.r + obj2.r;
-        };
+    useEffect(() => {
+        rendererRef.current?.setTheme(settings.theme);
+    }, [settings.theme]);
 
-        const breakAsteroid = (asteroid, index) => {
-            if (asteroid.r > 20) {
-                const newSize = asteroid.r / 2;
-                createAsteroid(asteroid.x, asteroid.y, newSize);
-                createAsteroid(asteroid.x, asteroid.y, newSize);
-            }
-            explosionSynth.triggerAttackRelease("16n");
-            asteroids.splice(index, 1);
-        };
+    useEffect(() => {
+        rendererRef.current?.setReducedMotion(reducedMotion);
+    }, [reducedMotion]);
 
-        const resetShip = () => {
-            ship.x = canvas.width / 2;
-            ship.y = canvas.height / 2;
-            ship.velocity.x = 0;
-            ship.velocity.y = 0;
-            ship.a = Math.PI / 2;
-        };
+    // Slowing the game down mid-run takes the run off the leaderboard.
+    useEffect(() => {
+        if (netRef.current || !loopRef.current) return;
+        loopRef.current.setSpeed(settings.gameSpeed);
+        if (settings.gameSpeed < 1 && !playbackRef.current) setRanked(false);
+    }, [settings.gameSpeed]);
 
-        // Input Handlers
-        const handleKeyDown = (e) => {
-            if (gameState !== 'playing') return;
-            switch (e.key) {
-                case 'ArrowLeft': case 'a': ship.turn_rate = -0.05; break;
-                case 'ArrowRight': case 'd': ship.turn_rate = 0.05; break;
-                case 'ArrowUp': case 'w': ship.thrust.y = 0.2; break;
-                case 'ArrowDown': case 's': ship.thrust.y = -0.2; break;
-                case ' ': shootBullet(); break;
-            }
-        };
-        const handleKeyUp = (e) => {
-            if (gameState !== 'playing') return;
-            switch (e.key) {
-                case 'ArrowLeft': case 'a': case 'ArrowRight': case 'd': ship.turn_rate = 0; break;
-                case 'ArrowUp': case 'w': case 'ArrowDown': case 's': ship.thrust.y = 0; break;
-            }
-        };
+    useEffect(() => {
+        if (!reducedMotionQuery) return;
+        const handleChange = (e) => setSystemReducedMotion(e.matches);
+        reducedMotionQuery.addEventListener('change', handleChange);
+        return () => reducedMotionQuery.removeEventListener('change', handleChange);
+    }, []);
 
-        const handleMouseDown = (e) => {
-            if (gameState !== 'playing' || window.innerWidth < 768) return;
-            // ... (mouse logic) ...
-        };
+    // --- Settings ---
+    const updateSettings = useCallback((changes) => {
+        setSettings((current) => {
+            const next = { ...current, ...changes };
+            saveSettings(next);
+            return next;
+        });
+    }, []);
 
-        const handleMouseUp = (e) => {
-            if (gameState !== 'playing' || window.innerWidth < 768) return;
-            // ... (mouse logic) ...
-        };
+    const beginSession = (game) => {
+        gameRef.current = game;
+        setScore(game.score);
+        setLives(game.lives);
+        setHasLives(hasLimitedLives(game));
+        setTimeLeft(game.rules?.timeLimit ? Math.ceil(game.rules.timeLimit / 1000) : null);
+        setWave(1);
+        setEffects([]);
+        setShipScores([]);
+        setGhostScore(null);
+        setSaveStatus(null);
+        setSession((s) => s + 1);
+        send('play');
+        soundRef.current?.start();
+    };
 
-        const handleMouseMove = (e) => {
-            if (gameState !== 'playing' || window.innerWidth < 768) return;
-            // ... (mouse logic) ...
-        };
+    // The daily challenge's ranked attempt is used up as soon as it starts;
+    // after that the day's challenge can still be played for practice.
+    const startGame = (selected = mode) => {
+        const { rules, leaderboard, daily } = GAME_MODES[selected];
+        const day = dayKey(new Date());
+        const isRanked = leaderboard !== null && settings.gameSpeed === 1 && !(daily && hasAttemptedDaily(day));
+        if (daily && isRanked) recordDailyAttempt(day);
+        netRef.current = null;
+        playbackRef.current = null;
+        setMode(selected);
+        setRanked(isRanked);
+        beginSession(createGame({ seed: daily ? dailySeed(day) : randomSeed(), rules }));
+    };
 
-        const handleResize = () => {
-            if (canvas) {
-                canvas.width = Math.min(window.innerWidth - 20, 800);
-                canvas.height = Math.min(window.innerHeight - 200, 600);
-                ship.x = canvas.width / 2;
-                ship.y = canvas.height / 2;
-            }
-        };
+    // Called by the lobby once both players are in the room. The host runs
+    // the game; the guest's is a view of the host's, filled in from frames.
+    const startMatch = ({ role, code, mode, seed }) => {
+        netRef.current = { role, code, mode, db, idle: false };
+        playbackRef.current = null;
+        setMatchResult(null);
+        beginSession(role === 'host'
+            ? createGame({ seed, players: 2, rules: MULTIPLAYER_MODES[mode].rules })
+            : createView({ players: 2 }));
+    };
 
-        window.addEventListener('keydown', handleKeyDown);
-        window.addEventListener('keyup', handleKeyUp);
-        window.addEventListener('resize', handleResize);
-        window.addEventListener('mousedown', handleMouseDown);
-        window.addEventListener('mouseup', handleMouseUp);
-        window.addEventListener('mousemove', handleMouseMove);
-        handleResize();
+    // Plays back a run from the leaderboard or a replay file.
+    const watchReplay = ({ name: runName, score: runScore, replay }) => {
+        netRef.current = null;
+        const playback = createPlayback(replay);
+        playbackRef.current = { playback, name: runName, score: runScore, replay };
+        beginSession(playback.state);
+    };
 
-        if (lives <= 0) {
-            setGameState('gameOver');
-            gameOverSynth.triggerAttackRelease("C3", "4n");
+    // The session refits the field when fullscreen comes or goes.
+    const toggleFullscreen = () => {
+        if (document.fullscreenElement) {
+            document.exitFullscreen();
         } else {
-            gameLoopId.current = requestAnimationFrame(gameLoop);
+            playfieldRef.current.requestFullscreen().catch((error) => console.error("Failed to enter fullscreen:", error));
         }
-
-        return () => {
-            cancelAnimationFrame(gameLoopId.current);
-            clearTimeout(powerupTimerId.current);
-            window.removeEventListener('keydown', handleKeyDown);
-            window.removeEventListener('keyup', handleKeyUp);
-            window.removeEventListener('resize', handleResize);
-            window.removeEventListener('mousedown', handleMouseDown);
-            window.removeEventListener('mouseup', handleMouseUp);
-            window.removeEventListener('mousemove', handleMouseMove);
-        };
-    }, [gameState, score, lives]);
+    };
 
     // --- High Score Submission ---
+    // Scores are saved through the score store: kept on this device, then
+    // uploaded to the submitScore Cloud Function (which replays the run to
+    // check it) now or once Firebase is available.
     const saveScore = async () => {
-        if (!db || !auth || !name.trim()) return;
-
-        const highScoresCollection = collection(db, `artifacts/${appId}/public/data/highscores`);
-        const personalBestDocRef = doc(db, `artifacts/${appId}/users/${userId}/personalHighScores/best`);
-
-        try {
-            // Save to public high scores
-            await addDoc(highScoresCollection, {
-                userId: userId,
-                name: name,
-                score: score,
-                timestamp: new Date()
-            });
-
-            // Save to personal best if it's a new high score
-            if (score > personalBest) {
-                await setDoc(personalBestDocRef, { score: score });
-            }
-
-            setGameState('leaderboard');
-        } catch (error) {
-            console.error("Error saving score:", error);
+        if (!name.trim() || !ranked) return;
+        const { score: finalScore, wave: finalWave } = gameRef.current;
+
+        profileStore.update((current) => ({ ...current, name: name.trim() }));
+        setSaveStatus({ state: 'saving', message: null });
+        // Saving again after a failure retries the run already recorded.
+        const result = await scoreStore.submit({
+            localId: saveStatus?.localId,
+            mode,
+            userId,
+            name: name.trim(),
+            score: finalScore,
+            wave: finalWave,
+            replay: encodeReplay(recorderRef.current),
+        });
+        setSaveStatus(result);
+        if (result.state === 'synced' || result.state === 'queued') {
+            setPersonalBest((best) => Math.max(best, finalScore));
+            send('saved');
         }
     };
 
@@ -521,23 +712,175 @@ const App = () => {
                         <h1 className="text-5xl font-bold text-yellow-400 mb-8 drop-shadow-neon animate-pulse">ASTEROID SHOOTER</h1>
                         <button
                             className="text-2xl control-button"
-                            onClick={() => {
-                                setScore(0);
-                                setLives(3);
-                                setGameState('playing');
-                                if (window.Tone && window.Tone.context.state !== 'running') {
-                                    window.Tone.start();
-                                }
-                            }}
+                            onClick={() => send('chooseMode')}
                         >
                             START GAME
                         </button>
+                        <button className="mt-4 control-button" onClick={() => send('openLobby')}>
+                            MULTIPLAYER
+                        </button>
+                        <button className="mt-4 control-button" onClick={() => send('openLeaderboard')}>
+                            LEADERBOARD
+                        </button>
+                        <button className="mt-4 control-button" onClick={() => send('openSettings')}>
+                            SETTINGS
+                        </button>
+                        <button className="mt-4 control-button" onClick={() => send('openProfile')}>
+                            PROFILE
+                        </button>
+                        <SaveStatus syncStatus={syncStatus} />
                     </div>
                 );
+            case 'modeSelect':
+                return (
+                    <ModeSelect
+                        mode={mode}
+                        dailyAttempted={hasAttemptedDaily(dayKey(new Date()))}
+                        onStart={startGame}
+                        onBack={() => send('back')}
+                    />
+                );
+            case 'settings':
+                return <Settings settings={settings} onChange={updateSettings} onBack={() => send('back')} />;
+            case 'profile':
+                return <Profile profile={profile} onNameChange={updateProfileName} onBack={() => send('back')} />;
+            case 'lobby':
+                return (
+                    <Lobby
+                        db={remoteBackend ? db : null}
+                        appId={appId}
+                        userId={userId}
+                        result={matchResult}
+                        onStart={startMatch}
+                        onBack={() => send('back')}
+                    />
+                );
             case 'playing':
+            case 'paused': {
+                const net = netRef.current;
+                const watching = playbackRef.current;
+                const localIndex = net?.role === 'guest' ? 1 : 0;
                 return (
-                    <div className="flex flex-col items-center w-full">
-                        <div className="flex justify-between w-full max-w-2xl px-4 mb-4">
-                            <h2 className="text-xl text-green-400">SCORE: {score}</h2>
-                            <h2 className="text-xl text-red-400">LIVES: {lives}</h2>
+                    <div ref={playfieldRef} className="flex flex-col items-center justify-center w-full bg-gray-900">
+                        <div className="flex justify-between items-center w-full max-w-2xl px-4 mb-4">
+                            {net?.mode === 'versus' ? (
+                                shipScores.map((ship, i) => (
+                                    <h2 key={i} className="text-xl" style={{ color: themeById(settings.theme).ships[i] }}>
+                                        {i === localIndex ? 'YOU' : 'THEM'}: {ship.score} ({ship.lives})
+                                    </h2>
+                                ))
+                            ) : (
+                                <>
+                                    <h2 className="text-xl text-green-400">SCORE: {score}</h2>
+                                    {hasLives && <h2 className="text-xl text-red-400">LIVES: {lives}</h2>}
+                                </>
+                            )}
+                            {timeLeft !== null && <h2 className="text-xl text-red-400">TIME: {formatTime(timeLeft)}</h2>}
+                            <h2 className="text-xl text-blue-400">WAVE: {wave}</h2>
+                            {ghostScore !== null && <h2 className="text-xl text-gray-400">GHOST: {ghostScore}</h2>}
+                            {document.fullscreenEnabled && (
+                                <button
+                                    className="px-3 border-2 border-green-400 text-green-400 font-bold"
+                                    aria-label="Toggle fullscreen"
+                                    onClick={toggleFullscreen}
+                                >
+                                    ⛶
+                                </button>
+                            )}
+                            <button
+                                className="px-3 border-2 border-green-400 text-green-400 font-bold"
+                                aria-label="Pause"
+                                onClick={() => send('pause')}
+                            >
+                                II
+                            </button>
+                        </div>
+                        <div className="flex gap-4 h-6 mb-2">
+                            {watching && <span className="text-sm text-yellow-400">REPLAY: {watching.name} ({watching.score})</span>}
+                            {!net && !watching && mode !== DEFAULT_MODE && (
+                                <span className="text-sm text-yellow-400">
+                                    {GAME_MODES[mode].label}{GAME_MODES[mode].daily && !ranked && ' (PRACTICE)'}
+                                </span>
+                            )}
+                            {effects.map(({ kind, seconds }) => (
+                                <span key={kind} className="text-sm" style={{ color: powerupColor(themeById(settings.theme), kind) }}>
+                                    {POWERUP_TYPES[kind].label} {seconds}s
+                                </span>
+                            ))}
                         </div>
+                        <div className="relative">
+                            <canvas ref={canvasRef} className={isTouchDevice ? '' : 'cursor-crosshair'} role="img" aria-label="Game field" />
+                            {achievementToast && (
+                                <p className="absolute inset-x-0 top-4 text-center text-yellow-400 pointer-events-none" role="status">
+                                    ACHIEVEMENT UNLOCKED: {achievementToast}
+                                </p>
+                            )}
+                            {gameState === 'paused' && (
+                                <PauseMenu
+                                    settings={settings}
+                                    onSettingsChange={updateSettings}
+                                    onResume={() => send('resume')}
+                                    onRestart={net ? undefined : () => (watching ? watchReplay(watching) : startGame())}
+                                    onQuit={() => send(net ? 'leaveMatch' : watching ? 'stopWatching' : 'quit')}
+                                    title={net ? 'MENU' : 'PAUSED'}
+                                    quitLabel={net ? 'LEAVE MATCH' : watching ? 'STOP WATCHING' : 'QUIT TO TITLE'}
+                                />
+                            )}
+                        </div>
+                        {isTouchDevice && gameState === 'playing' && <TouchControls controls={touchControlsRef.current} />}
+                    </div>
+                );
+            }
+            case 'gameOver':
+                return (
+                    <GameOver
+                        mode={mode}
+                        score={gameRef.current.score}
+                        wave={gameRef.current.wave}
+                        ranked={ranked}
+                        personalBest={personalBest}
+                        name={name}
+                        saveStatus={saveStatus}
+                        syncStatus={syncStatus}
+                        onNameChange={setName}
+                        onSave={saveScore}
+                        onPlayAgain={() => startGame()}
+                        onLeaderboard={() => send('openLeaderboard')}
+                        onTitle={() => send('back')}
+                    />
+                );
+            case 'leaderboard':
+                return (
+                    <div className="flex flex-col items-center w-full">
+                        <SaveStatus saveStatus={saveStatus} syncStatus={syncStatus} />
+                        <Leaderboard
+                            backend={leaderboardBackend}
+                            userId={userId}
+                            mode={mode}
+                            onWatch={watchReplay}
+                            onPlayAgain={() => startGame()}
+                            personalBest={personalBest}
+                            onTitle={() => send('back')}
+                        />
+                    </div>
+                );
+        }
+    };
+
+    // See index.css for what these change.
+    const accessibilityClasses = [
+        settings.theme === 'highContrast' && 'high-contrast',
+        reducedMotion && 'reduce-motion',
+    ].filter(Boolean).join(' ');
+
+    return (
+        <div className={`min-h-screen bg-gray-900 text-white font-mono flex items-center justify-center p-4 ${accessibilityClasses}`}>
+            {renderContent()}
+            <p className="sr-only" role="status" aria-live="polite">
+                <span key={announcement.id}>{announcement.text}</span>
+            </p>
+        </div>
+    );
+};
+
+export default App;
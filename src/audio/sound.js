@@ -0,0 +1,224 @@
+import * as Tone from 'tone';
+
+// --- Sound ---
+// Every sound the game makes, built from Tone.js synths. The game calls
+// play() with each tick's engine events and update() with the game state;
+// everything else follows from those. Effects are panned by where they
+// happened on the field.
+//
+// The music is the arcade heartbeat: two low notes in turn, getting faster
+// as the wave's asteroids are cleared. It keeps time with the simulation
+// rather than the audio clock, so pausing the game pauses it too.
+//
+// Sounds go to one of two buses, effects or music, each with its own volume,
+// and both through the master volume. Volumes are 0 to 1.
+
+const PAN_SPREAD = 0.8; // how far left or right the field's edges sound
+
+// How much of a wave an asteroid is: itself and everything it breaks into.
+const ASTEROID_WEIGHT = { large: 7, medium: 3, small: 1 };
+
+const BEAT_SLOWEST_MS = 1000;
+const BEAT_FASTEST_MS = 250;
+const BEAT_NOTES = ['A1', 'F1'];
+
+// Noise bursts for breaking asteroids, deeper and longer the bigger it was.
+const EXPLOSIONS = {
+    large: { noise: 'brown', decay: 0.6, cutoff: 600 },
+    medium: { noise: 'pink', decay: 0.35, cutoff: 1500 },
+    small: { noise: 'white', decay: 0.15, cutoff: 4000 },
+};
+
+// Short note sequences, played one after another.
+const CUES = {
+    extraLife: ['C5', 'E5', 'G5', 'C6'],
+    powerup: ['G4', 'D5'],
+    effectExpired: ['D5', 'G4'],
+    shieldHit: ['C3'],
+    hyperspace: ['E5', 'B4', 'E4'],
+};
+const CUE_STEP_S = 0.07;
+
+const fieldWeight = (state) => state.asteroids.reduce((sum, asteroid) => sum + ASTEROID_WEIGHT[asteroid.type], 0);
+
+export const createSound = () => {
+    const sfx = new Tone.Volume().toDestination();
+    const music = new Tone.Volume().toDestination();
+    const disposables = [sfx, music];
+
+    // A synth with a panner of its own. Tone refuses to start a synth twice
+    // at the same instant, so each voice tracks when it last started.
+    const createVoice = (synth, bus, ...effects) => {
+        const panner = new Tone.Panner(0);
+        synth.chain(...effects, panner, bus);
+        disposables.push(synth, panner, ...effects);
+        return { synth, panner, lastAt: 0 };
+    };
+
+    const laser = createVoice(new Tone.Synth({
+        oscillator: { type: 'sawtooth' },
+        envelope: { attack: 0.001, decay: 0.1, sustain: 0.05, release: 0.1 },
+    }), sfx);
+    const saucerLaser = createVoice(new Tone.Synth({
+        oscillator: { type: 'sawtooth' },
+        envelope: { attack: 0.001, decay: 0.1, sustain: 0.05, release: 0.1 },
+    }), sfx);
+    const explosions = Object.fromEntries(Object.entries(EXPLOSIONS).map(([size, { noise, decay, cutoff }]) => [
+        size,
+        createVoice(
+            new Tone.NoiseSynth({ noise: { type: noise }, envelope: { attack: 0.001, decay, sustain: 0, release: 0.1 } }),
+            sfx,
+            new Tone.Filter(cutoff, 'lowpass'),
+        ),
+    ]));
+    const cue = createVoice(new Tone.Synth({
+        oscillator: { type: 'triangle' },
+        envelope: { attack: 0.005, decay: 0.05, sustain: 0.3, release: 0.05 },
+    }), sfx);
+    const gameOver = createVoice(new Tone.Synth({
+        oscillator: { type: 'square' },
+        envelope: { attack: 0.01, decay: 0.4, sustain: 0.1, release: 0.5 },
+    }), sfx);
+    const thrust = createVoice(
+        new Tone.NoiseSynth({ noise: { type: 'brown' }, envelope: { attack: 0.05, decay: 0, sustain: 1, release: 0.15 } }),
+        sfx,
+        new Tone.Filter(400, 'lowpass'),
+    );
+    const heartbeat = createVoice(new Tone.Synth({
+        oscillator: { type: 'square' },
+        envelope: { attack: 0.005, decay: 0.12, sustain: 0, release: 0.05 },
+    }), music, new Tone.Filter(300, 'lowpass'));
+
+    let width = 1;
+    let thrusting = false;
+    let waveWeight = 0; // the field's weight at its fullest this wave
+    let nextBeatAt = null; // simulation time of the next heartbeat note
+    let beat = 0;
+
+    const panFor = (x = null) => (x === null ? 0 : Math.max(-1, Math.min(1, (x / width) * 2 - 1)) * PAN_SPREAD);
+
+    // When a voice can next start: now, unless it already has something
+    // scheduled from now on.
+    const nextTime = (voice) => {
+        voice.lastAt = Math.max(Tone.now(), voice.lastAt + 0.01);
+        return voice.lastAt;
+    };
+
+    const trigger = (voice, x, play) => {
+        const at = nextTime(voice);
+        voice.panner.pan.setValueAtTime(panFor(x), at);
+        play(voice.synth, at);
+    };
+
+    const playCue = (notes) => trigger(cue, null, (synth, at) => {
+        notes.forEach((note, i) => synth.triggerAttackRelease(note, CUE_STEP_S, at + i * CUE_STEP_S));
+        cue.lastAt = at + (notes.length - 1) * CUE_STEP_S;
+    });
+
+    const stopThrust = () => {
+        if (!thrusting) return;
+        thrusting = false;
+        thrust.synth.triggerRelease(nextTime(thrust));
+    };
+
+    return {
+        // Browsers only allow audio to start from a user gesture.
+        start: () => {
+            if (Tone.getContext().state !== 'running') {
+                Tone.start().catch((error) => console.error("Failed to start audio:", error));
+            }
+        },
+
+        setVolumes: ({ master, sfx: sfxVolume, music: musicVolume, muted }) => {
+            Tone.getDestination().volume.value = Tone.gainToDb(master);
+            Tone.getDestination().mute = muted;
+            sfx.volume.value = Tone.gainToDb(sfxVolume);
+            music.volume.value = Tone.gainToDb(musicVolume);
+        },
+
+        // Plays the sounds for a tick's engine events.
+        play: (events, fieldWidth) => {
+            width = fieldWidth;
+            events.forEach((event) => {
+                switch (event.type) {
+                    case 'shot':
+                        trigger(laser, event.x, (synth, at) => synth.triggerAttackRelease(event.bullets > 1 ? 'G5' : 'C5', '16n', at));
+                        break;
+                    case 'saucerShot':
+                        trigger(saucerLaser, event.x, (synth, at) => synth.triggerAttackRelease('E4', '16n', at));
+                        break;
+                    case 'asteroidDestroyed':
+                        trigger(explosions[event.size], event.x, (synth, at) => synth.triggerAttackRelease('8n', at));
+                        break;
+                    case 'saucerDestroyed':
+                        trigger(explosions.medium, event.x, (synth, at) => synth.triggerAttackRelease('8n', at));
+                        break;
+                    case 'shipDestroyed':
+                        trigger(explosions.large, event.x, (synth, at) => synth.triggerAttackRelease('4n', at));
+                        break;
+                    case 'extraLife':
+                    case 'powerup':
+                    case 'effectExpired':
+                    case 'shieldHit':
+                    case 'hyperspace':
+                        playCue(CUES[event.type]);
+                        break;
+                    case 'waveStarted':
+                        waveWeight = 0;
+                        break;
+                    case 'gameOver':
+                        trigger(gameOver, null, (synth, at) => synth.triggerAttackRelease('C3', '4n', at));
+                        break;
+                }
+            });
+        },
+
+        // Keeps the continuous sounds in step with the game: the heartbeat,
+        // and the thrust of `ship` (the local player's).
+        update: (state, ship) => {
+            width = state.width;
+            const weight = fieldWeight(state);
+            if (state.over || weight === 0) {
+                nextBeatAt = null;
+            } else {
+                waveWeight = Math.max(waveWeight, weight);
+                nextBeatAt ??= state.time;
+                if (state.time >= nextBeatAt) {
+                    const cleared = 1 - weight / waveWeight;
+                    trigger(heartbeat, null, (synth, at) => synth.triggerAttackRelease(BEAT_NOTES[beat % 2], 0.1, at));
+                    beat += 1;
+                    nextBeatAt = state.time + BEAT_SLOWEST_MS - (BEAT_SLOWEST_MS - BEAT_FASTEST_MS) * cleared;
+                }
+            }
+
+            if (ship.status === 'alive' && ship.thrust !== 0) {
+                thrust.panner.pan.rampTo(panFor(ship.x), 0.05);
+                if (!thrusting) {
+                    thrusting = true;
+                    thrust.synth.triggerAttack(nextTime(thrust));
+                }
+            } else {
+                stopThrust();
+            }
+        },
+
+        // Stops the continuous sounds until the next update().
+        silence: () => {
+            stopThrust();
+            nextBeatAt = null;
+        },
+
+        // Silences everything and forgets the wave, for a new game.
+        reset: () => {
+            stopThrust();
+            nextBeatAt = null;
+            waveWeight = 0;
+            beat = 0;
+        },
+
+        dispose: () => {
+            stopThrust();
+            disposables.forEach((node) => node.dispose());
+        },
+    };
+};
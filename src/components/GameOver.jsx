@@ -0,0 +1,69 @@
+import { useState } from 'react';
+import { GAME_MODES } from '../game/modes.js';
+import SaveStatus from './SaveStatus.jsx';
+
+// --- Game Over Screen ---
+// The run's result against the player's personal best in its mode, and,
+// for a ranked run, the name to save it under. Saving calls `onSave`, which
+// moves on to the leaderboard once the score is kept; otherwise the outcome
+// shows in `saveStatus` and the save can be tried again, unless the server
+// refused the run. Practice runs can't be saved.
+
+const GameOver = ({ mode, score, wave, ranked, personalBest, name, saveStatus, syncStatus, onNameChange, onSave, onPlayAgain, onLeaderboard, onTitle }) => {
+    // The best before this run. The live one catches up once it's saved.
+    const [previousBest] = useState(personalBest);
+    const { label, rules } = GAME_MODES[mode];
+    const saving = saveStatus?.state === 'saving';
+    const rejected = saveStatus?.state === 'rejected';
+
+    const submit = (e) => {
+        e.preventDefault();
+        if (!saving && !rejected) onSave();
+    };
+
+    const renderBest = () => {
+        if (score > previousBest) {
+            return (
+                <p className="text-yellow-400 mb-6 animate-pulse">
+                    NEW PERSONAL BEST!{previousBest > 0 && ` (WAS ${previousBest})`}
+                </p>
+            );
+        }
+        return <p className="text-gray-400 mb-6">PERSONAL BEST: {previousBest}</p>;
+    };
+
+    return (
+        <div className="flex flex-col items-center w-full max-w-md">
+            <h1 className="text-5xl font-bold text-red-500 mb-2">{rules.timeLimit ? "TIME'S UP" : 'GAME OVER'}</h1>
+            <p className="text-sm text-gray-400 mb-4">{label}</p>
+            <p className="text-4xl text-green-400 mb-1">{score}</p>
+            <p className="text-blue-400 mb-4">WAVE {wave}</p>
+            {renderBest()}
+            {ranked ? (
+                <form className="flex gap-2 mb-4" onSubmit={submit}>
+                    <input
+                        className="bg-gray-800 border-2 border-green-400 px-2 py-1 text-white"
+                        aria-label="Name"
+                        placeholder="YOUR NAME"
+                        value={name}
+                        maxLength={16}
+                        disabled={saving}
+                        onChange={(e) => onNameChange(e.target.value)}
+                        autoFocus
+                    />
+                    <button className="control-button" type="submit" disabled={saving || rejected || !name.trim()}>SAVE</button>
+                </form>
+            ) : (
+                <p className="text-gray-400 mb-4">PRACTICE RUN: NOT RANKED</p>
+            )}
+            <SaveStatus saveStatus={saveStatus} syncStatus={syncStatus} />
+            <div className="flex gap-4">
+                <button className="control-button" onClick={onPlayAgain}>PLAY AGAIN</button>
+                <button className="control-button" onClick={onLeaderboard}>LEADERBOARD</button>
+                <button className="control-button" onClick={onTitle}>TITLE</button>
+            </div>
+        </div>
+    );
+};
+
+export default GameOver;
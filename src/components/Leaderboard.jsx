@@ -0,0 +1,195 @@
+import { useEffect, useState } from 'react';
+import { GAME_MODES, RANKED_MODES } from '../game/modes.js';
+import { exportReplay, importReplay, validateReplay } from '../game/replay.js';
+import { boardsFor } from '../storage/leaderboard.js';
+
+// --- Leaderboard Screen ---
+// Tabs for each ranked game mode and, within it, its daily, weekly and
+// all-time boards, loaded a page at a time. It opens on `mode`, whose
+// `personalBest` is shown with it.
+// The player's own entries are highlighted, and if their best isn't among the
+// loaded rows it is shown below them with its rank and neighbours. `backend`
+// is either storage backend; the local one only has this device's scores.
+//
+// Any run whose replay was kept can be watched or saved to a file, and a
+// saved replay can be loaded back in to watch. `onWatch({ name, score,
+// replay })` starts the playback.
+
+const downloadReplay = (run) => {
+    const url = URL.createObjectURL(new Blob([exportReplay(run)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${run.name || 'replay'}-${run.score}.replay.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+const ScoreRow = ({ rank, entry, isPlayer, onWatch, onDownload }) => (
+    <tr className={isPlayer ? 'text-yellow-400' : ''}>
+        <td className="py-1 pr-4 text-right">{rank}.</td>
+        <td className="py-1 pr-4 w-full">{entry.name}</td>
+        <td className="py-1 pr-4 text-right">{entry.score}</td>
+        <td className="py-1 whitespace-nowrap">
+            <button className="px-1 text-green-400" aria-label={`Watch ${entry.name}'s run`} onClick={() => onWatch(entry)}>▶</button>
+            <button className="px-1 text-green-400" aria-label={`Save ${entry.name}'s replay`} onClick={() => onDownload(entry)}>⤓</button>
+        </td>
+    </tr>
+);
+
+const tabClass = (selected) => `px-3 py-1 border-2 ${selected ? 'border-yellow-400 text-yellow-400' : 'border-gray-500 text-gray-400'}`;
+
+const Leaderboard = ({ backend, userId, mode: initialMode, personalBest, onWatch, onPlayAgain, onTitle }) => {
+    const [mode, setMode] = useState(GAME_MODES[initialMode]?.leaderboard ? initialMode : RANKED_MODES[0]);
+    const [boardId, setBoardId] = useState(() => boardsFor(mode)[0].id);
+    const [entries, setEntries] = useState([]);
+    const [cursor, setCursor] = useState(null);
+    const [standing, setStanding] = useState(null);
+    const [status, setStatus] = useState('loading'); // 'loading', 'ready', 'error'
+    const [replayError, setReplayError] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        setEntries([]);
+        setCursor(null);
+        setStanding(null);
+        setStatus('loading');
+        const now = new Date();
+        Promise.all([
+            backend.fetchPage(mode, boardId, { now }),
+            userId ? backend.fetchPlayerStanding(mode, boardId, userId, { now }) : null,
+        ]).then(([page, playerStanding]) => {
+            if (cancelled) return;
+            setEntries(page.entries);
+            setCursor(page.cursor);
+            setStanding(playerStanding);
+            setStatus('ready');
+        }).catch((error) => {
+            console.error("Error loading leaderboard:", error);
+            if (!cancelled) setStatus('error');
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [backend, mode, boardId, userId]);
+
+    const selectMode = (id) => {
+        setMode(id);
+        setBoardId(boardsFor(id)[0].id);
+    };
+
+    const loadMore = async () => {
+        setStatus('loading');
+        try {
+            const page = await backend.fetchPage(mode, boardId, { cursor });
+            setEntries((loaded) => [...loaded, ...page.entries]);
+            setCursor(page.cursor);
+            setStatus('ready');
+        } catch (error) {
+            console.error("Error loading leaderboard:", error);
+            setStatus('error');
+        }
+    };
+
+    const withReplay = async (entry, use) => {
+        setReplayError(null);
+        try {
+            const replay = await backend.fetchReplay(entry.id);
+            if (replay) {
+                use({ name: entry.name, score: entry.score, replay });
+            } else {
+                setReplayError(`No replay was kept for ${entry.name}'s ${entry.score}.`);
+            }
+        } catch (error) {
+            console.error("Error loading replay:", error);
+            setReplayError("Couldn't load that replay.");
+        }
+    };
+    // Replays recorded by an older version of the game can be saved but not
+    // played.
+    const watch = (run) => {
+        try {
+            validateReplay(run.replay);
+        } catch (error) {
+            setReplayError(`Can't play that replay: ${error.message}.`);
+            return;
+        }
+        onWatch(run);
+    };
+    const rowActions = {
+        onWatch: (entry) => withReplay(entry, watch),
+        onDownload: (entry) => withReplay(entry, downloadReplay),
+    };
+
+    const loadReplayFile = async (e) => {
+        const [file] = e.target.files;
+        e.target.value = '';
+        if (!file) return;
+        setReplayError(null);
+        try {
+            onWatch(importReplay(await file.text()));
+        } catch (error) {
+            setReplayError(error.message);
+        }
+    };
+
+    const loadedIds = new Set(entries.map((entry) => entry.id));
+    const showStanding = standing && !loadedIds.has(standing.entry.id);
+
+    return (
+        <div className="flex flex-col items-center w-full max-w-md">
+            <h1 className="text-4xl font-bold text-yellow-400 mb-2">LEADERBOARD</h1>
+            <p className="text-sm text-gray-400 mb-4">{backend.kind === 'local' ? 'SCORES ON THIS DEVICE' : 'ONLINE'}</p>
+            {mode === initialMode && <p className="text-yellow-400 mb-4">YOUR BEST: {personalBest}</p>}
+            <div className="flex flex-wrap justify-center gap-2 mb-2" role="tablist" aria-label="Game mode">
+                {RANKED_MODES.map((id) => (
+                    <button key={id} role="tab" aria-selected={id === mode} className={tabClass(id === mode)} onClick={() => selectMode(id)}>
+                        {GAME_MODES[id].label}
+                    </button>
+                ))}
+            </div>
+            <div className="flex gap-2 mb-4" role="tablist" aria-label="Period">
+                {boardsFor(mode).map(({ id, label }) => (
+                    <button key={id} role="tab" aria-selected={id === boardId} className={tabClass(id === boardId)} onClick={() => setBoardId(id)}>
+                        {label}
+                    </button>
+                ))}
+            </div>
+            <table className="w-full mb-4 text-left">
+                <tbody>
+                    {entries.map((entry, i) => (
+                        <ScoreRow key={entry.id} rank={i + 1} entry={entry} isPlayer={entry.userId === userId} {...rowActions} />
+                    ))}
+                    {showStanding && (
+                        <>
+                            <tr><td colSpan={4} className="py-1 text-center text-gray-500">…</td></tr>
+                            {standing.above.map((entry, i) => !loadedIds.has(entry.id) && (
+                                <ScoreRow key={entry.id} rank={standing.rank - standing.above.length + i} entry={entry} isPlayer={entry.userId === userId} {...rowActions} />
+                            ))}
+                            <ScoreRow rank={standing.rank} entry={standing.entry} isPlayer {...rowActions} />
+                            {standing.below.map((entry, i) => (
+                                <ScoreRow key={entry.id} rank={standing.rank + 1 + i} entry={entry} isPlayer={entry.userId === userId} {...rowActions} />
+                            ))}
+                        </>
+                    )}
+                </tbody>
+            </table>
+            {status === 'ready' && entries.length === 0 && <p className="text-gray-400 mb-4">No scores yet.</p>}
+            {status === 'loading' && <p className="text-gray-400 mb-4">LOADING…</p>}
+            {status === 'error' && <p className="text-red-400 mb-4">Couldn't load the leaderboard.</p>}
+            {status === 'ready' && cursor && (
+                <button className="control-button mb-4" onClick={loadMore}>MORE</button>
+            )}
+            {replayError && <p className="text-red-400 mb-4">{replayError}</p>}
+            <label className="control-button mb-4 cursor-pointer">
+                WATCH A REPLAY FILE
+                <input type="file" accept=".json,application/json" className="hidden" onChange={loadReplayFile} />
+            </label>
+            <div className="flex gap-4">
+                <button className="control-button" onClick={onPlayAgain}>PLAY AGAIN</button>
+                <button className="control-button" onClick={onTitle}>TITLE</button>
+            </div>
+        </div>
+    );
+};
+
+export default Leaderboard;
@@ -0,0 +1,117 @@
+import { useEffect, useRef, useState } from 'react';
+import { randomSeed } from '../game/rng.js';
+import { MULTIPLAYER_MODES, createRoom, joinRoom, normalizeRoomCode, setRoomStatus, watchRoom } from '../net/rooms.js';
+
+// --- Multiplayer Lobby ---
+// Host a room in either mode and share its code, or join one by code. Calls
+// `onStart({ role, code, mode, seed })` once both players are in. `db` is
+// null while there's no signed-in connection to Firebase. `result` is the
+// outcome of the last match, if there was one.
+
+const Lobby = ({ db, appId, userId, result, onStart, onBack }) => {
+    const [mode, setMode] = useState('coop');
+    const [joinCode, setJoinCode] = useState('');
+    const [hosting, setHosting] = useState(null); // code of the room waiting for a guest
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+    const startedRef = useRef(false);
+    const onStartRef = useRef(onStart);
+    onStartRef.current = onStart;
+
+    // Wait for a guest; give the room up if the lobby is left first.
+    useEffect(() => {
+        if (!hosting) return;
+        const unsubscribe = watchRoom(db, appId, hosting, (room) => {
+            if (room?.status !== 'playing') return;
+            startedRef.current = true;
+            onStartRef.current({ role: 'host', code: hosting, mode: room.mode, seed: room.seed });
+        }, (watchError) => setError(watchError.message));
+        return () => {
+            unsubscribe();
+            if (!startedRef.current) setRoomStatus(db, appId, hosting, 'abandoned').catch(() => {});
+        };
+    }, [db, appId, hosting]);
+
+    const run = async (action) => {
+        setBusy(true);
+        setError(null);
+        try {
+            await action();
+        } catch (actionError) {
+            setError(actionError.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const host = () => run(async () => {
+        setHosting(await createRoom(db, appId, { hostId: userId, mode, seed: randomSeed() }));
+    });
+
+    const join = () => run(async () => {
+        const code = normalizeRoomCode(joinCode);
+        const room = await joinRoom(db, appId, code, userId);
+        startedRef.current = true;
+        onStart({ role: 'guest', code, mode: room.mode, seed: room.seed });
+    });
+
+    const renderBody = () => {
+        if (!db) {
+            return <p className="text-gray-400 mb-6">Multiplayer needs a connection to the game server.</p>;
+        }
+        if (hosting) {
+            return (
+                <div className="flex flex-col items-center mb-6">
+                    <p className="mb-2">ROOM CODE</p>
+                    <p className="text-5xl font-bold text-yellow-400 tracking-widest mb-4">{hosting}</p>
+                    <p className="text-gray-400 mb-4">{MULTIPLAYER_MODES[mode].label}: WAITING FOR PLAYER 2…</p>
+                    <button className="control-button" onClick={() => setHosting(null)}>CANCEL</button>
+                </div>
+            );
+        }
+        return (
+            <div className="flex flex-col items-center w-full mb-6">
+                <div className="flex gap-2 mb-2" role="radiogroup">
+                    {Object.entries(MULTIPLAYER_MODES).map(([id, { label }]) => (
+                        <button
+                            key={id}
+                            role="radio"
+                            aria-checked={id === mode}
+                            className={`px-3 py-1 border-2 ${id === mode ? 'border-yellow-400 text-yellow-400' : 'border-gray-500 text-gray-400'}`}
+                            onClick={() => setMode(id)}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+                <p className="text-sm text-gray-400 mb-4">{MULTIPLAYER_MODES[mode].description}</p>
+                <button className="control-button mb-8" onClick={host} disabled={busy}>HOST GAME</button>
+                <div className="flex gap-2">
+                    <input
+                        className="bg-gray-800 border-2 border-green-400 px-2 py-1 text-white uppercase tracking-widest w-28"
+                        placeholder="CODE"
+                        value={joinCode}
+                        maxLength={4}
+                        onChange={(e) => setJoinCode(e.target.value)}
+                        onKeyDown={(e) => {
+                            if (e.key === 'Enter' && joinCode.trim()) join();
+                        }}
+                    />
+                    <button className="control-button" onClick={join} disabled={busy || !joinCode.trim()}>JOIN</button>
+                </div>
+            </div>
+        );
+    };
+
+    return (
+        <div className="flex flex-col items-center w-full max-w-md">
+            <h1 className="text-4xl font-bold text-yellow-400 mb-6">MULTIPLAYER</h1>
+            {result && <p className="text-green-400 mb-4 text-center" role="status">{result}</p>}
+            {renderBody()}
+            {error && <p className="text-red-400 mb-4">{error}</p>}
+            <button className="control-button" onClick={onBack}>BACK</button>
+        </div>
+    );
+};
+
+export default Lobby;
@@ -0,0 +1,30 @@
+import { GAME_MODES } from '../game/modes.js';
+
+// --- Mode Select ---
+// Picks the single-player mode before a game. `dailyAttempted` says whether
+// today's ranked daily challenge attempt is used up, leaving it practice only.
+
+const ModeSelect = ({ mode, dailyAttempted, onStart, onBack }) => (
+    <div className="flex flex-col items-center w-full max-w-md">
+        <h1 className="text-4xl font-bold text-yellow-400 mb-6">SELECT MODE</h1>
+        <div className="flex flex-col gap-4 w-full mb-8">
+            {Object.entries(GAME_MODES).map(([id, { label, description, daily }]) => (
+                <button
+                    key={id}
+                    className={`flex flex-col items-start p-3 border-2 text-left ${id === mode ? 'border-yellow-400' : 'border-green-400'}`}
+                    onClick={() => onStart(id)}
+                    autoFocus={id === mode}
+                >
+                    <span className={`text-xl ${id === mode ? 'text-yellow-400' : 'text-green-400'}`}>{label}</span>
+                    <span className="text-sm text-gray-400">{description}</span>
+                    {daily && dailyAttempted && (
+                        <span className="text-sm text-red-400">TODAY'S ATTEMPT IS USED: PRACTICE ONLY</span>
+                    )}
+                </button>
+            ))}
+        </div>
+        <button className="control-button" onClick={onBack}>BACK</button>
+    </div>
+);
+
+export default ModeSelect;
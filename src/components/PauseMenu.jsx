@@ -0,0 +1,29 @@
+import { useState } from 'react';
+import Settings from './Settings.jsx';
+
+// --- Pause Menu ---
+// Overlay shown over the field while the game is paused. Settings open in
+// place so the paused session underneath stays mounted. Without `onRestart`
+// (a multiplayer match, which the menu doesn't stop) there's no RESTART.
+
+const PauseMenu = ({ settings, onSettingsChange, onResume, onRestart, onQuit, title = 'PAUSED', quitLabel = 'QUIT TO TITLE' }) => {
+    const [view, setView] = useState('menu');
+
+    return (
+        <div className="absolute inset-0 flex items-center justify-center bg-black/75 overflow-auto p-4">
+            {view === 'settings' ? (
+                <Settings settings={settings} onChange={onSettingsChange} onBack={() => setView('menu')} />
+            ) : (
+                <div className="flex flex-col items-center gap-4">
+                    <h1 className="text-4xl font-bold text-yellow-400 mb-4">{title}</h1>
+                    <button className="control-button w-56" onClick={onResume} autoFocus>RESUME</button>
+                    {onRestart && <button className="control-button w-56" onClick={onRestart}>RESTART</button>}
+                    <button className="control-button w-56" onClick={() => setView('settings')}>SETTINGS</button>
+                    <button className="control-button w-56" onClick={onQuit}>{quitLabel}</button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default PauseMenu;
@@ -0,0 +1,78 @@
+import { POWERUP_TYPES } from '../game/powerups.js';
+import { ACHIEVEMENTS } from '../profile/achievements.js';
+import { accuracy } from '../profile/stats.js';
+
+// --- Profile Screen ---
+// The player's display name, lifetime stats and achievements.
+
+const formatDuration = (ms) => {
+    const seconds = Math.floor(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+const StatRow = ({ label, value }) => (
+    <tr className="border-b border-gray-700">
+        <td className="py-1 pr-4">{label}</td>
+        <td className="py-1 text-right">{value}</td>
+    </tr>
+);
+
+const Profile = ({ profile, onNameChange, onBack }) => {
+    const hitRate = accuracy(profile);
+    const { large, medium, small } = profile.asteroidsDestroyed;
+
+    return (
+        <div className="flex flex-col items-center w-full max-w-xl">
+            <h1 className="text-4xl font-bold text-yellow-400 mb-6">PROFILE</h1>
+            <label className="flex items-center gap-4 mb-6 self-start">
+                <span className="text-green-400">NAME</span>
+                <input
+                    className="bg-gray-800 border-2 border-green-400 px-2 py-1 text-white"
+                    value={profile.name}
+                    maxLength={16}
+                    onChange={(e) => onNameChange(e.target.value)}
+                />
+            </label>
+
+            <h2 className="text-xl text-green-400 mb-2 self-start">STATS</h2>
+            <table className="w-full mb-6 text-left">
+                <tbody>
+                    <StatRow label="GAMES PLAYED" value={profile.gamesPlayed} />
+                    <StatRow label="HIGHEST SCORE" value={profile.highestScore} />
+                    <StatRow label="HIGHEST WAVE" value={profile.highestWave} />
+                    <StatRow label="LONGEST LIFE" value={formatDuration(profile.longestLifeMs)} />
+                    <StatRow label="ASTEROIDS (LARGE / MEDIUM / SMALL)" value={`${large} / ${medium} / ${small}`} />
+                    <StatRow label="SAUCERS" value={profile.saucersDestroyed} />
+                    <StatRow
+                        label="ACCURACY"
+                        value={hitRate === null ? '—' : `${Math.round(hitRate * 100)}% (${profile.shotsHit} / ${profile.shotsFired})`}
+                    />
+                    {Object.entries(POWERUP_TYPES).map(([kind, { label }]) => (
+                        <StatRow key={kind} label={label} value={profile.powerupsCollected[kind]} />
+                    ))}
+                </tbody>
+            </table>
+
+            <h2 className="text-xl text-green-400 mb-2 self-start">
+                ACHIEVEMENTS ({Object.keys(profile.achievements).length} / {ACHIEVEMENTS.length})
+            </h2>
+            <ul className="w-full mb-6">
+                {ACHIEVEMENTS.map(({ id, label, description }) => {
+                    const unlockedAt = profile.achievements[id];
+                    return (
+                        <li key={id} className={`py-1 flex justify-between gap-4 ${unlockedAt ? 'text-yellow-400' : 'text-gray-500'}`}>
+                            <span>
+                                {label}
+                                <span className="block text-sm text-gray-400">{description}</span>
+                            </span>
+                            <span className="text-sm">{unlockedAt ? new Date(unlockedAt).toLocaleDateString() : 'LOCKED'}</span>
+                        </li>
+                    );
+                })}
+            </ul>
+            <button className="control-button" onClick={onBack}>BACK</button>
+        </div>
+    );
+};
+
+export default Profile;
@@ -0,0 +1,40 @@
+// --- Save Status ---
+// What happened to the last score saved, and whether any scores are still
+// waiting to be uploaded. Renders nothing when there's nothing to report.
+
+const SAVE_MESSAGES = {
+    saving: { text: 'SAVING…', className: 'text-gray-400' },
+    synced: { text: 'SCORE SAVED', className: 'text-green-400' },
+    queued: { text: 'SAVED ON THIS DEVICE. IT WILL BE UPLOADED WHEN ONLINE.', className: 'text-yellow-400' },
+    rejected: { text: 'SCORE REJECTED', className: 'text-red-400' },
+    failed: { text: "COULDN'T UPLOAD SCORE", className: 'text-red-400' },
+    error: { text: "COULDN'T SAVE SCORE", className: 'text-red-400' },
+};
+
+const SaveStatus = ({ saveStatus = null, syncStatus }) => {
+    const save = saveStatus && SAVE_MESSAGES[saveStatus.state];
+    const { pending, syncing, online } = syncStatus;
+    // The save message already covers a single score waiting to upload.
+    const showPending = pending > 0 && !(saveStatus?.state === 'queued' && pending === 1);
+
+    if (!save && !showPending) return null;
+    return (
+        <div className="flex flex-col items-center mb-4 text-sm" role="status">
+            {save && (
+                <p className={save.className}>
+                    {save.text}
+                    {saveStatus.message && saveStatus.state !== 'saving' && `: ${saveStatus.message}`}
+                </p>
+            )}
+            {showPending && (
+                <p className="text-gray-400">
+                    {syncing
+                        ? 'UPLOADING SCORES…'
+                        : `${pending} ${pending === 1 ? 'SCORE' : 'SCORES'} WAITING TO UPLOAD${online ? '' : ' (OFFLINE)'}`}
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default SaveStatus;
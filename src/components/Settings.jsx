@@ -0,0 +1,183 @@
+import { useEffect, useState } from 'react';
+import { ACTIONS, DEFAULT_KEY_BINDINGS, bindKey, keyLabel, normalizeKey, unbindKey } from '../input/bindings.js';
+import { QUALITY_LEVELS } from '../render/renderer.js';
+import { THEMES } from '../render/themes.js';
+
+// --- Settings Screen ---
+// Sound, graphics, accessibility, gameplay options and key rebinding.
+// Click ADD KEY on an action and press the key to bind it; click a bound key
+// to remove it. Changes are saved as they are made.
+
+const VOLUMES = [
+    { id: 'master', label: 'MASTER' },
+    { id: 'sfx', label: 'EFFECTS' },
+    { id: 'music', label: 'MUSIC' },
+];
+
+const MOTION_OPTIONS = [
+    { id: 'system', label: 'SYSTEM' },
+    { id: 'on', label: 'ON' },
+    { id: 'off', label: 'OFF' },
+];
+
+// A row of mutually exclusive options.
+const Choice = ({ label, options, value, onSelect }) => (
+    <div className="flex flex-wrap gap-2 mb-1 self-start" role="radiogroup" aria-label={label}>
+        {options.map(({ id, label: optionLabel }) => (
+            <button
+                key={id}
+                role="radio"
+                aria-checked={id === value}
+                className={`px-3 py-1 border-2 ${id === value ? 'border-yellow-400 text-yellow-400' : 'border-gray-500 text-gray-400'}`}
+                onClick={() => onSelect(id)}
+            >
+                {optionLabel}
+            </button>
+        ))}
+    </div>
+);
+
+const Settings = ({ settings, onChange, onBack }) => {
+    const [listeningFor, setListeningFor] = useState(null);
+    const { keyBindings, audio } = settings;
+    const setAudio = (changes) => onChange({ audio: { ...audio, ...changes } });
+
+    useEffect(() => {
+        if (!listeningFor) return;
+        const handleKeyDown = (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            setListeningFor(null);
+            // Escape cancels unless it's exactly what is being bound
+            if (e.key === 'Escape' && listeningFor !== 'pause') return;
+            onChange({ keyBindings: bindKey(keyBindings, listeningFor, normalizeKey(e.key)) });
+        };
+        window.addEventListener('keydown', handleKeyDown, true);
+        return () => window.removeEventListener('keydown', handleKeyDown, true);
+    }, [listeningFor, keyBindings, onChange]);
+
+    return (
+        <div className="flex flex-col items-center w-full max-w-xl">
+            <h1 className="text-4xl font-bold text-yellow-400 mb-6">SETTINGS</h1>
+            <h2 className="text-xl text-green-400 mb-2 self-start">SOUND</h2>
+            <div className="w-full mb-6">
+                {VOLUMES.map(({ id, label }) => (
+                    <label key={id} className="flex items-center gap-4 mb-2">
+                        <span className="w-24">{label}</span>
+                        <input
+                            type="range"
+                            className="flex-1"
+                            min={0}
+                            max={1}
+                            step={0.05}
+                            value={audio[id]}
+                            disabled={audio.muted}
+                            onChange={(e) => setAudio({ [id]: Number(e.target.value) })}
+                        />
+                        <span className="w-12 text-right">{Math.round(audio[id] * 100)}%</span>
+                    </label>
+                ))}
+                <label className="flex items-center gap-4">
+                    <input type="checkbox" checked={audio.muted} onChange={(e) => setAudio({ muted: e.target.checked })} />
+                    <span>MUTE</span>
+                </label>
+            </div>
+            <h2 className="text-xl text-green-400 mb-2 self-start">GRAPHICS</h2>
+            <Choice
+                label="Effects quality"
+                options={Object.entries(QUALITY_LEVELS).map(([id, { label }]) => ({ id, label }))}
+                value={settings.quality}
+                onSelect={(quality) => onChange({ quality })}
+            />
+            <p className="text-sm text-gray-400 mb-6 self-start">
+                Lower settings turn off glow and trails, then particles and screen shake.
+            </p>
+            <h2 className="text-xl text-green-400 mb-2 self-start">ACCESSIBILITY</h2>
+            <p className="mb-1 self-start">COLOURS</p>
+            <Choice
+                label="Colours"
+                options={Object.entries(THEMES).map(([id, { label }]) => ({ id, label }))}
+                value={settings.theme}
+                onSelect={(theme) => onChange({ theme })}
+            />
+            <p className="text-sm text-gray-400 mb-4 self-start">
+                High contrast also applies to the menus.
+            </p>
+            <p className="mb-1 self-start">REDUCED MOTION</p>
+            <Choice
+                label="Reduced motion"
+                options={MOTION_OPTIONS}
+                value={settings.reducedMotion}
+                onSelect={(reducedMotion) => onChange({ reducedMotion })}
+            />
+            <p className="text-sm text-gray-400 mb-4 self-start">
+                No screen shake, trails or blinking. SYSTEM follows your device's setting.
+            </p>
+            <label className="flex items-center gap-4 mb-1 w-full">
+                <span className="w-24">GAME SPEED</span>
+                <input
+                    type="range"
+                    className="flex-1"
+                    min={0.5}
+                    max={1}
+                    step={0.1}
+                    value={settings.gameSpeed}
+                    onChange={(e) => onChange({ gameSpeed: Number(e.target.value) })}
+                />
+                <span className="w-12 text-right">{Math.round(settings.gameSpeed * 100)}%</span>
+            </label>
+            <p className="text-sm text-gray-400 mb-6 self-start">
+                Single player only. Runs below full speed aren't ranked.
+            </p>
+            <h2 className="text-xl text-green-400 mb-2 self-start">GAMEPLAY</h2>
+            <label className="flex items-center gap-4 mb-6 self-start">
+                <input type="checkbox" checked={settings.ghost} onChange={(e) => onChange({ ghost: e.target.checked })} />
+                <span>RACE YOUR PERSONAL BEST'S GHOST</span>
+            </label>
+            <h2 className="text-xl text-green-400 mb-2 self-start">CONTROLS</h2>
+            <table className="w-full mb-4 text-left">
+                <tbody>
+                    {ACTIONS.map(({ id, label }) => (
+                        <tr key={id} className="border-b border-gray-700">
+                            <td className="py-2 pr-4">{label}</td>
+                            <td className="py-2">
+                                <div className="flex flex-wrap gap-2">
+                                    {keyBindings[id].map((key) => (
+                                        <button
+                                            key={key}
+                                            className="px-2 border border-green-400 text-green-400 hover:line-through"
+                                            title="Remove"
+                                            onClick={() => onChange({ keyBindings: unbindKey(keyBindings, id, key) })}
+                                        >
+                                            {keyLabel(key)}
+                                        </button>
+                                    ))}
+                                    <button
+                                        className="px-2 border border-gray-500 text-gray-400"
+                                        onClick={() => setListeningFor(id)}
+                                    >
+                                        {listeningFor === id ? 'PRESS A KEY…' : 'ADD KEY'}
+                                    </button>
+                                </div>
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            <p className="text-sm text-gray-400 mb-6">
+                Gamepads: left stick or d-pad to rotate, right trigger to thrust, left trigger to reverse,
+                A to fire, B for hyperspace, Start to pause.
+            </p>
+            <div className="flex gap-4">
+                <button className="control-button" onClick={() => onChange({ keyBindings: DEFAULT_KEY_BINDINGS })}>
+                    RESET CONTROLS
+                </button>
+                <button className="control-button" onClick={onBack}>
+                    BACK
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default Settings;
@@ -0,0 +1,86 @@
+import { useRef, useState } from 'react';
+
+// --- On-screen Touch Controls ---
+// A virtual joystick that points the ship, plus thrust and fire buttons.
+// Writes into the input controller's `touch` state, which it samples each tick.
+
+const JOYSTICK_RADIUS = 56;
+const JOYSTICK_DEAD_ZONE = 0.25; // fraction of the radius that does nothing
+
+const TouchControls = ({ controls }) => {
+    const padRef = useRef(null);
+    const [knob, setKnob] = useState({ x: 0, y: 0 });
+
+    const moveStick = (e) => {
+        const rect = padRef.current.getBoundingClientRect();
+        let dx = e.clientX - (rect.left + rect.width / 2);
+        let dy = e.clientY - (rect.top + rect.height / 2);
+        const distance = Math.hypot(dx, dy);
+        if (distance > JOYSTICK_RADIUS) {
+            dx *= JOYSTICK_RADIUS / distance;
+            dy *= JOYSTICK_RADIUS / distance;
+        }
+        setKnob({ x: dx, y: dy });
+        // Screen y grows downwards; the engine's angles are counter-clockwise.
+        controls.aim = distance > JOYSTICK_RADIUS * JOYSTICK_DEAD_ZONE ? Math.atan2(-dy, dx) : null;
+    };
+
+    const releaseStick = () => {
+        setKnob({ x: 0, y: 0 });
+        controls.aim = null;
+    };
+
+    const hold = (onPress, onRelease) => ({
+        onPointerDown: (e) => {
+            e.currentTarget.setPointerCapture(e.pointerId);
+            onPress();
+        },
+        onPointerUp: onRelease,
+        onPointerCancel: onRelease,
+    });
+
+    return (
+        <div className="fixed inset-x-0 bottom-0 flex justify-between items-end p-6 select-none" style={{ touchAction: 'none' }}>
+            <div
+                ref={padRef}
+                className="relative rounded-full border-2 border-green-400 bg-green-900/30"
+                style={{ width: JOYSTICK_RADIUS * 2, height: JOYSTICK_RADIUS * 2 }}
+                onPointerDown={(e) => {
+                    e.currentTarget.setPointerCapture(e.pointerId);
+                    moveStick(e);
+                }}
+                onPointerMove={(e) => {
+                    if (e.currentTarget.hasPointerCapture(e.pointerId)) moveStick(e);
+                }}
+                onPointerUp={releaseStick}
+                onPointerCancel={releaseStick}
+            >
+                <div
+                    className="absolute rounded-full bg-green-400"
+                    style={{
+                        width: 40,
+                        height: 40,
+                        left: JOYSTICK_RADIUS - 20 + knob.x,
+                        top: JOYSTICK_RADIUS - 20 + knob.y,
+                    }}
+                />
+            </div>
+            <div className="flex gap-4">
+                <button
+                    className="w-20 h-20 rounded-full border-2 border-blue-400 text-blue-400 font-bold"
+                    {...hold(() => { controls.thrust = true; }, () => { controls.thrust = false; })}
+                >
+                    THRUST
+                </button>
+                <button
+                    className="w-20 h-20 rounded-full border-2 border-pink-400 text-pink-400 font-bold"
+                    {...hold(() => { controls.fire = true; }, () => { controls.fire = false; })}
+                >
+                    FIRE
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default TouchControls;
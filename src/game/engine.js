@@ -0,0 +1,622 @@
+import { createRng, random, randomInt } from './rng.js';
+import { checkCollision, nextId, withPrevious } from './entities.js';
+import { circleHitsAsteroid, shipHitsAsteroid } from './geometry.js';
+import { applyEffect, expireEffects, isEffectActive, pickPowerupKind } from './powerups.js';
+import { SAUCER_TYPES, createSaucer, nextSaucerTime, updateSaucer } from './saucers.js';
+
+// --- Headless Game Engine ---
+// All simulation lives here. The engine never touches the DOM, the clock or
+// Math.random(): a run is fully described by its seed plus the sequence of
+// inputs fed to step(), so the same seed and inputs always give the same game.
+//
+// Rates are per second and timers are in milliseconds of simulation time, so
+// the result of a step depends only on dtMs. Callers are expected to drive
+// step() with a fixed TICK_MS (see loop.js) to keep runs reproducible.
+
+export const TICK_MS = 1000 / 60;
+
+// Every game is played on a field this size, whatever the screen; the
+// renderer scales it to fit. Distances here are in these units ("px").
+export const WORLD_WIDTH = 800;
+export const WORLD_HEIGHT = 600;
+
+export const SHIP_SIZE = 30;
+const TURN_RATE = 3; // radians per second
+const THRUST = 720; // px per second squared
+const FRICTION = 0.3; // fraction of velocity kept after one second
+const ASTEROID_SPEED_MOD = 60; // px per second
+const ASTEROID_MAX_SPIN = 1.5; // radians per second, either way
+const ASTEROID_JAGGEDNESS = 0.35; // how far a vertex may sit inside the radius
+const BULLET_SPEED = 300; // px per second
+const BULLET_SIZE = 3;
+const SHOT_COOLDOWN = 250;
+const RAPID_FIRE_SHOT_COOLDOWN = 100;
+const SPREAD_SHOT_ANGLE = 0.2; // radians between spread shot bullets
+const POWERUP_SIZE = 15;
+const POWERUP_SPEED = 30; // px per second
+export const EXPLOSION_DURATION = 1500; // ship wreck on screen before a respawn
+const RESPAWN_SAFE_RADIUS = 120; // nothing may be this close to the centre
+const RESPAWN_MAX_WAIT = 3000; // after which the ship respawns regardless
+export const INVULNERABLE_DURATION = 2000;
+const HYPERSPACE_DURATION = 500; // time spent out of the field
+const HYPERSPACE_COOLDOWN = 1000;
+const HYPERSPACE_FAILURE_CHANCE = 0.1; // of blowing up on re-entry
+
+// Asteroids split large -> medium -> small; smaller ones are worth more.
+export const ASTEROID_TYPES = {
+    large: { r: 50, points: 20, splitsInto: 'medium' },
+    medium: { r: 25, points: 50, splitsInto: 'small' },
+    small: { r: 12.5, points: 100, splitsInto: null },
+};
+
+// Rules a caller may override per game.
+// An extra life is awarded at each score in `extraLifeScores`, then every
+// `extraLifeInterval` points after the last one (0 to stop there).
+// With `sharedLives` every ship draws on one pool of lives and one combined
+// score, and the game ends when the pool runs out; without, each ship has
+// its own and the game ends when every ship is out. `friendlyFire` lets
+// ships shoot each other.
+//
+// Each wave brings `waveBaseAsteroids` large asteroids plus
+// `waveExtraAsteroids` per wave after the first, up to `waveMaxAsteroids`,
+// moving `waveSpeedStep` faster per wave up to `waveMaxSpeed` times their
+// first wave's speed. Power-ups turn up `powerupSpawnRate` times a second on
+// average, one at a time, and vanish after `powerupLifetime` ms.
+//
+// Without `limitedLives` losing a ship costs nothing but the wait to
+// respawn; without `shipsCanDie` ships can't be destroyed at all, and hits
+// bounce off them as if shielded. A `timeLimit` (ms, 0 for none) ends the
+// game once that much time has been played.
+export const DEFAULT_RULES = {
+    extraLifeScores: [10000],
+    extraLifeInterval: 10000,
+    sharedLives: true,
+    friendlyFire: false,
+    startingLives: 3,
+    limitedLives: true,
+    shipsCanDie: true,
+    timeLimit: 0,
+    waveBaseAsteroids: 4,
+    waveExtraAsteroids: 1,
+    waveMaxAsteroids: 11,
+    waveSpeedStep: 0.1,
+    waveMaxSpeed: 2.5,
+    waveDelay: 2000, // pause between clearing the field and the next wave
+    saucers: true,
+    powerupSpawnRate: 0.06,
+    powerupLifetime: 10000,
+};
+
+// Inputs for a single step. `rotate` runs from 1 (full left) to -1 (full
+// right), fractions for analog sticks;
+// `aim`, when not null, is a heading the ship turns towards at its normal turn
+// rate while `rotate` is 0; `thrust` is 1 forward, -1 reverse; `fire`
+// requests one shot and is subject to the shot cooldown; `hyperspace`
+// requests a jump.
+export const createInputs = () => ({ rotate: 0, aim: null, thrust: 0, fire: false, hyperspace: false });
+
+// Where each ship starts and respawns: the centre for one ship, spread
+// across the middle of the field for more.
+const spawnPoint = (state, ship) => ({
+    x: (state.width * (ship.index + 1)) / (state.ships.length + 1),
+    y: state.height / 2,
+});
+
+// The ship's `status` is 'alive', 'dead' (the wreck, then waiting for a safe
+// moment to respawn) or 'hyperspace' (out of the field mid-jump). `score` is
+// what this ship earned; `lives` and `extraLivesAwarded` are only used
+// without shared lives. `out` is set once such a ship has no lives left.
+const createShip = (index, rules) => ({
+    index,
+    status: 'alive',
+    out: false,
+    deathTime: 0,
+    invulnerableUntil: INVULNERABLE_DURATION,
+    hyperspaceUntil: 0,
+    lastHyperspace: -HYPERSPACE_COOLDOWN,
+    lastShotTime: -SHOT_COOLDOWN,
+    // The thrust it last flew with (0 unless alive), for sound and drawing.
+    thrust: 0,
+    // Timed power-up effects: kind -> simulation time it runs out.
+    effects: {},
+    score: 0,
+    lives: rules.startingLives,
+    extraLivesAwarded: 0,
+    x: 0,
+    y: 0,
+    pa: Math.PI / 2,
+    r: SHIP_SIZE / 2,
+    a: Math.PI / 2,
+    velocity: { x: 0, y: 0 },
+});
+
+// `players` is the number of ships in the field. `ship` is the first of
+// them, the only one in single player.
+export const createGame = ({ seed, rules = {}, players = 1 }) => {
+    const gameRules = { ...DEFAULT_RULES, ...rules };
+    const ships = Array.from({ length: players }, (_, index) => createShip(index, gameRules));
+    const state = {
+        seed,
+        rng: createRng(seed),
+        rules: gameRules,
+        width: WORLD_WIDTH,
+        height: WORLD_HEIGHT,
+        time: 0,
+        // Set the moment the last life is lost or the time limit is reached.
+        over: false,
+        // With shared lives, the team's; otherwise the total of every ship's.
+        score: 0,
+        lives: gameRules.startingLives,
+        extraLivesAwarded: 0,
+        // The first wave spawns on the first step.
+        wave: 0,
+        nextWaveTime: 0,
+        ships,
+        ship: ships[0],
+        asteroids: [],
+        bullets: [],
+        powerups: [],
+        saucers: [],
+        nextSaucerTime: null,
+        nextId: 1,
+        // Things that happened during the last step, for the caller to turn
+        // into sound and HUD updates. Cleared at the start of every step.
+        events: [],
+    };
+    ships.forEach((ship) => {
+        Object.assign(ship, spawnPoint(state, ship));
+        withPrevious(ship);
+    });
+    return state;
+};
+
+export const waveAsteroidCount = (rules, wave) =>
+    Math.min(rules.waveBaseAsteroids + (wave - 1) * rules.waveExtraAsteroids, rules.waveMaxAsteroids);
+
+export const waveSpeed = (rules, wave) => Math.min(1 + (wave - 1) * rules.waveSpeedStep, rules.waveMaxSpeed);
+
+// `spawnedBy` is the id of the piercing bullet that split the parent, so the
+// same bullet doesn't immediately carve through the fragments as well.
+const createAsteroid = (state, type, x, y, spawnedBy = null) => {
+    const { rng, width, height } = state;
+    const { r } = ASTEROID_TYPES[type];
+    const speed = ASTEROID_SPEED_MOD * waveSpeed(state.rules, state.wave);
+    let newX, newY;
+    if (x === undefined) {
+        if (random(rng) > 0.5) {
+            newX = random(rng) < 0.5 ? 0 - r : width + r;
+            newY = random(rng) * height;
+        } else {
+            newX = random(rng) * width;
+            newY = random(rng) < 0.5 ? 0 - r : height + r;
+        }
+    } else {
+        newX = x;
+        newY = y;
+    }
+
+    state.asteroids.push(withPrevious({
+        id: nextId(state),
+        x: newX,
+        y: newY,
+        r,
+        type,
+        spawnedBy,
+        // Each vertex's distance from the centre, as a fraction of `r`.
+        shape: Array.from({ length: randomInt(rng, 5, 9) }, () => 1 - random(rng) * ASTEROID_JAGGEDNESS),
+        a: random(rng) * Math.PI * 2,
+        spin: (random(rng) * 2 - 1) * ASTEROID_MAX_SPIN,
+        velocity: {
+            x: (random(rng) - 0.5) * speed,
+            y: (random(rng) - 0.5) * speed,
+        },
+    }));
+};
+
+const createPowerUp = (state) => {
+    const { rng, width, height } = state;
+    state.powerups.push(withPrevious({
+        id: nextId(state),
+        kind: pickPowerupKind(rng),
+        expiresAt: state.time + state.rules.powerupLifetime,
+        x: random(rng) * width,
+        y: random(rng) * height,
+        r: POWERUP_SIZE,
+        velocity: {
+            x: (random(rng) - 0.5) * POWERUP_SPEED,
+            y: (random(rng) - 0.5) * POWERUP_SPEED,
+        },
+    }));
+};
+
+const shootBullet = (state, ship) => {
+    const cooldown = isEffectActive(state, 'rapidFire', ship) ? RAPID_FIRE_SHOT_COOLDOWN : SHOT_COOLDOWN;
+    if (state.time - ship.lastShotTime < cooldown) return;
+
+    const angles = isEffectActive(state, 'spreadShot', ship)
+        ? [ship.a - SPREAD_SHOT_ANGLE, ship.a, ship.a + SPREAD_SHOT_ANGLE]
+        : [ship.a];
+    const piercing = isEffectActive(state, 'piercing', ship);
+    angles.forEach((angle) => {
+        state.bullets.push(withPrevious({
+            id: nextId(state),
+            owner: 'player',
+            // Index of the ship that fired it
+            ship: ship.index,
+            x: ship.x,
+            y: ship.y,
+            r: BULLET_SIZE,
+            piercing,
+            velocity: {
+                x: Math.cos(angle) * BULLET_SPEED,
+                y: -Math.sin(angle) * BULLET_SPEED,
+            },
+        }));
+    });
+    ship.lastShotTime = state.time;
+    state.events.push({ type: 'shot', ship: ship.index, x: ship.x, bullets: angles.length });
+};
+
+const startWave = (state) => {
+    state.wave += 1;
+    for (let i = 0; i < waveAsteroidCount(state.rules, state.wave); i++) {
+        createAsteroid(state, 'large');
+    }
+    if (state.rules.saucers && state.nextSaucerTime === null && state.saucers.length === 0) {
+        state.nextSaucerTime = nextSaucerTime(state);
+    }
+    state.events.push({ type: 'waveStarted', wave: state.wave });
+};
+
+export const nextExtraLifeScore = (rules, awarded) => {
+    const { extraLifeScores, extraLifeInterval } = rules;
+    if (awarded < extraLifeScores.length) return extraLifeScores[awarded];
+    if (!extraLifeInterval) return Infinity;
+    const last = extraLifeScores.length > 0 ? extraLifeScores[extraLifeScores.length - 1] : 0;
+    return last + (awarded - extraLifeScores.length + 1) * extraLifeInterval;
+};
+
+// Whose lives and extra lives a ship's points count towards: the team's
+// (the game state's) with shared lives, otherwise its own.
+const livesOf = (state, ship) => (state.rules.sharedLives ? state : ship);
+
+const addScore = (state, ship, points) => {
+    state.score += points;
+    ship.score += points;
+    const holder = livesOf(state, ship);
+    while (holder.score >= nextExtraLifeScore(state.rules, holder.extraLivesAwarded)) {
+        holder.extraLivesAwarded += 1;
+        holder.lives += 1;
+        state.events.push({ type: 'extraLife', ship: ship.index });
+    }
+};
+
+// `ship` is the ship credited with breaking it, or null when something else
+// did. `bulletId` is the player bullet that hit it, if one did.
+const breakAsteroid = (state, index, { split = true, spawnedBy = null, ship = null, bulletId = null } = {}) => {
+    const asteroid = state.asteroids[index];
+    const { points, splitsInto } = ASTEROID_TYPES[asteroid.type];
+    state.asteroids.splice(index, 1);
+    if (split && splitsInto) {
+        createAsteroid(state, splitsInto, asteroid.x, asteroid.y, spawnedBy);
+        createAsteroid(state, splitsInto, asteroid.x, asteroid.y, spawnedBy);
+    }
+    if (ship) addScore(state, ship, points);
+    state.events.push({
+        type: 'asteroidDestroyed',
+        x: asteroid.x,
+        y: asteroid.y,
+        size: asteroid.type,
+        byPlayer: ship !== null,
+        ship: ship?.index ?? null,
+        bulletId,
+    });
+};
+
+const activatePowerUp = (state, ship, powerup) => {
+    const { kind } = powerup;
+    switch (kind) {
+        case 'smartBomb':
+            // Clears the field outright: no fragments, full points.
+            for (let i = state.asteroids.length - 1; i >= 0; i--) {
+                breakAsteroid(state, i, { split: false, ship });
+            }
+            break;
+        case 'extraLife':
+            livesOf(state, ship).lives += 1;
+            state.events.push({ type: 'extraLife', ship: ship.index });
+            break;
+        default:
+            applyEffect(ship.effects, kind, state.time);
+    }
+    state.events.push({ type: 'powerup', ship: ship.index, kind });
+};
+
+// `ship` and `bulletId` as for breakAsteroid().
+const destroySaucer = (state, index, { ship = null, bulletId = null } = {}) => {
+    const saucer = state.saucers[index];
+    state.saucers.splice(index, 1);
+    if (ship) addScore(state, ship, SAUCER_TYPES[saucer.size].points);
+    state.nextSaucerTime = nextSaucerTime(state);
+    state.events.push({
+        type: 'saucerDestroyed',
+        x: saucer.x,
+        y: saucer.y,
+        size: saucer.size,
+        byPlayer: ship !== null,
+        ship: ship?.index ?? null,
+        bulletId,
+    });
+};
+
+// Whether anything can currently hit the ship (the first ship by default).
+export const isShipTangible = (state, ship = state.ship) =>
+    ship.status === 'alive' && state.time >= ship.invulnerableUntil;
+
+const destroyShip = (state, ship) => {
+    ship.status = 'dead';
+    ship.deathTime = state.time;
+    ship.velocity.x = 0;
+    ship.velocity.y = 0;
+    state.events.push({ type: 'shipDestroyed', ship: ship.index, x: ship.x, y: ship.y });
+    if (!state.rules.limitedLives) return;
+    const holder = livesOf(state, ship);
+    holder.lives -= 1;
+    if (holder.lives > 0) return;
+    if (holder === ship) ship.out = true;
+    if (holder === state || state.ships.every((other) => other.out)) {
+        state.over = true;
+        state.events.push({ type: 'gameOver' });
+    }
+};
+
+// Something hit the ship. Returns false if the shield absorbed it.
+const hitShip = (state, ship) => {
+    if (!state.rules.shipsCanDie || isEffectActive(state, 'shield', ship)) {
+        state.events.push({ type: 'shieldHit', ship: ship.index });
+        return false;
+    }
+    destroyShip(state, ship);
+    return true;
+};
+
+const isSpawnSafe = (state, ship) => {
+    const spawn = { ...spawnPoint(state, ship), r: RESPAWN_SAFE_RADIUS };
+    return !state.asteroids.some((asteroid) => checkCollision(spawn, asteroid))
+        && !state.saucers.some((saucer) => checkCollision(spawn, saucer));
+};
+
+const respawnShip = (state, ship) => {
+    ship.status = 'alive';
+    Object.assign(ship, spawnPoint(state, ship));
+    ship.a = Math.PI / 2;
+    withPrevious(ship);
+    ship.pa = ship.a;
+    ship.invulnerableUntil = state.time + INVULNERABLE_DURATION;
+    state.events.push({ type: 'shipRespawned', ship: ship.index });
+};
+
+const enterHyperspace = (state, ship) => {
+    if (state.time - ship.lastHyperspace < HYPERSPACE_COOLDOWN) return;
+    ship.status = 'hyperspace';
+    ship.hyperspaceUntil = state.time + HYPERSPACE_DURATION;
+    ship.lastHyperspace = state.time;
+    ship.velocity.x = 0;
+    ship.velocity.y = 0;
+    state.events.push({ type: 'hyperspace', ship: ship.index, x: ship.x, y: ship.y });
+};
+
+// Re-entry lands anywhere, including on top of something, and now and then
+// the jump itself goes wrong.
+const exitHyperspace = (state, ship) => {
+    const { rng } = state;
+    ship.status = 'alive';
+    ship.x = random(rng) * state.width;
+    ship.y = random(rng) * state.height;
+    withPrevious(ship);
+    state.events.push({ type: 'hyperspaceExit', ship: ship.index, x: ship.x, y: ship.y });
+    if (random(rng) < HYPERSPACE_FAILURE_CHANCE && state.rules.shipsCanDie) destroyShip(state, ship);
+};
+
+const updateShip = (state, ship, inputs, dt) => {
+    const { width, height } = state;
+    ship.thrust = ship.status === 'alive' ? inputs.thrust : 0;
+    switch (ship.status) {
+        case 'dead': {
+            if (state.over || ship.out) return;
+            const waited = state.time - ship.deathTime - EXPLOSION_DURATION;
+            if (waited >= 0 && (isSpawnSafe(state, ship) || waited >= RESPAWN_MAX_WAIT)) respawnShip(state, ship);
+            return;
+        }
+        case 'hyperspace':
+            if (state.time >= ship.hyperspaceUntil) exitHyperspace(state, ship);
+            return;
+    }
+
+    // Update ship position and velocity
+    const friction = Math.pow(FRICTION, dt);
+    if (inputs.rotate !== 0) {
+        ship.a += inputs.rotate * TURN_RATE * dt;
+    } else if (inputs.aim !== null) {
+        // Shortest way round to the aimed heading
+        const diff = ((((inputs.aim - ship.a + Math.PI) % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2)) - Math.PI;
+        ship.a += Math.max(-TURN_RATE * dt, Math.min(TURN_RATE * dt, diff));
+    }
+    ship.velocity.x += Math.cos(ship.a) * inputs.thrust * THRUST * dt;
+    ship.velocity.y -= Math.sin(ship.a) * inputs.thrust * THRUST * dt;
+    ship.velocity.x *= friction;
+    ship.velocity.y *= friction;
+    ship.x += ship.velocity.x * dt;
+    ship.y += ship.velocity.y * dt;
+
+    // Wrap ship around the screen
+    if (ship.x < 0) ship.x = width;
+    if (ship.x > width) ship.x = 0;
+    if (ship.y < 0) ship.y = height;
+    if (ship.y > height) ship.y = 0;
+
+    if (inputs.hyperspace) {
+        enterHyperspace(state, ship);
+    } else if (inputs.fire) {
+        shootBullet(state, ship);
+    }
+};
+
+// Advances the simulation by one step. Mutates and returns `state`.
+// `inputs` is one set of inputs per ship, or a single set for one ship.
+export const step = (state, inputs, dtMs) => {
+    const { ships, asteroids, bullets, powerups, saucers, rules, width, height } = state;
+    const shipInputs = Array.isArray(inputs) ? inputs : [inputs];
+    const dt = dtMs / 1000;
+    state.events = [];
+    state.time += dtMs;
+
+    ships.forEach(withPrevious);
+    asteroids.forEach(withPrevious);
+    bullets.forEach(withPrevious);
+    powerups.forEach(withPrevious);
+    saucers.forEach(withPrevious);
+
+    expireEffects(state);
+
+    // Start the next wave a short while after the field is cleared
+    if (asteroids.length === 0) {
+        if (state.nextWaveTime === null) {
+            state.nextWaveTime = state.time + rules.waveDelay;
+        } else if (state.time >= state.nextWaveTime) {
+            state.nextWaveTime = null;
+            startWave(state);
+        }
+    }
+
+    // Saucers come one at a time, on a schedule that tightens every wave
+    if (saucers.length === 0 && state.nextSaucerTime !== null && state.time >= state.nextSaucerTime) {
+        state.nextSaucerTime = null;
+        createSaucer(state);
+    }
+
+    // Spawn power-ups occasionally
+    if (random(state.rng) < rules.powerupSpawnRate * dt && powerups.length < 1) {
+        createPowerUp(state);
+    }
+
+    ships.forEach((ship, i) => updateShip(state, ship, shipInputs[i] ?? createInputs(), dt));
+
+    // Update bullets
+    for (let i = bullets.length - 1; i >= 0; i--) {
+        const bullet = bullets[i];
+        bullet.x += bullet.velocity.x * dt;
+        bullet.y += bullet.velocity.y * dt;
+        if (bullet.x < 0 || bullet.x > width || bullet.y < 0 || bullet.y > height) {
+            bullets.splice(i, 1);
+        }
+    }
+
+    // Update asteroids
+    for (let i = asteroids.length - 1; i >= 0; i--) {
+        const asteroid = asteroids[i];
+        asteroid.x += asteroid.velocity.x * dt;
+        asteroid.y += asteroid.velocity.y * dt;
+        asteroid.a += asteroid.spin * dt;
+        if (asteroid.x < 0 - asteroid.r) asteroid.x = width + asteroid.r;
+        if (asteroid.x > width + asteroid.r) asteroid.x = 0 - asteroid.r;
+        if (asteroid.y < 0 - asteroid.r) asteroid.y = height + asteroid.r;
+        if (asteroid.y > height + asteroid.r) asteroid.y = 0 - asteroid.r;
+
+        const rammed = ships.find((ship) => isShipTangible(state, ship) && shipHitsAsteroid(ship, asteroid));
+        if (rammed) {
+            if (hitShip(state, rammed)) {
+                asteroids.splice(i, 1);
+            } else {
+                breakAsteroid(state, i, { ship: rammed });
+            }
+            continue;
+        }
+
+        for (let j = bullets.length - 1; j >= 0; j--) {
+            const bullet = bullets[j];
+            if (bullet.piercing && asteroid.spawnedBy === bullet.id) continue;
+            if (circleHitsAsteroid(bullet, asteroid)) {
+                if (!bullet.piercing) bullets.splice(j, 1);
+                const shooter = bullet.owner === 'player' ? ships[bullet.ship] : null;
+                breakAsteroid(state, i, {
+                    spawnedBy: bullet.piercing ? bullet.id : null,
+                    ship: shooter,
+                    bulletId: shooter ? bullet.id : null,
+                });
+                break;
+            }
+        }
+    }
+
+    // Update saucers
+    for (let i = saucers.length - 1; i >= 0; i--) {
+        const saucer = saucers[i];
+        if (!updateSaucer(state, saucer, dt)) {
+            saucers.splice(i, 1);
+            state.nextSaucerTime = nextSaucerTime(state);
+            continue;
+        }
+
+        const rammed = ships.find((ship) => isShipTangible(state, ship) && checkCollision(ship, saucer));
+        if (rammed) {
+            hitShip(state, rammed);
+            destroySaucer(state, i, { ship: rammed });
+            continue;
+        }
+
+        const asteroidIndex = asteroids.findIndex((asteroid) => circleHitsAsteroid(saucer, asteroid));
+        if (asteroidIndex !== -1) {
+            breakAsteroid(state, asteroidIndex);
+            destroySaucer(state, i);
+            continue;
+        }
+
+        const bulletIndex = bullets.findIndex((bullet) => bullet.owner === 'player' && checkCollision(bullet, saucer));
+        if (bulletIndex !== -1) {
+            const bullet = bullets[bulletIndex];
+            if (!bullet.piercing) bullets.splice(bulletIndex, 1);
+            destroySaucer(state, i, { ship: ships[bullet.ship], bulletId: bullet.id });
+        }
+    }
+
+    // Saucer bullets, and other players' with friendly fire, against the
+    // ships. Each ship takes at most one hit a step.
+    ships.forEach((ship) => {
+        for (let i = bullets.length - 1; i >= 0; i--) {
+            const bullet = bullets[i];
+            const hostile = bullet.owner === 'saucer' || (rules.friendlyFire && bullet.ship !== ship.index);
+            if (hostile && isShipTangible(state, ship) && checkCollision(bullet, ship)) {
+                bullets.splice(i, 1);
+                hitShip(state, ship);
+                break;
+            }
+        }
+    });
+
+    // Update powerups
+    for (let i = powerups.length - 1; i >= 0; i--) {
+        const powerup = powerups[i];
+        powerup.x += powerup.velocity.x * dt;
+        powerup.y += powerup.velocity.y * dt;
+        if (powerup.x < 0) powerup.x = width;
+        if (powerup.x > width) powerup.x = 0;
+        if (powerup.y < 0) powerup.y = height;
+        if (powerup.y > height) powerup.y = 0;
+
+        const collector = ships.find((ship) => ship.status === 'alive' && checkCollision(ship, powerup));
+        if (collector) {
+            activatePowerUp(state, collector, powerup);
+            powerups.splice(i, 1);
+        } else if (state.time >= powerup.expiresAt) {
+            powerups.splice(i, 1);
+        }
+    }
+
+    if (rules.timeLimit > 0 && !state.over && state.time >= rules.timeLimit) {
+        state.over = true;
+        state.events.push({ type: 'gameOver' });
+    }
+
+    return state;
+};
@@ -0,0 +1,22 @@
+// --- Entity Helpers ---
+// Small pieces shared by every kind of object in the simulation.
+
+// Every moving object remembers where it was before the last step (and which
+// way it faced, if it turns), so the renderer can interpolate between ticks.
+export const withPrevious = (obj) => {
+    obj.px = obj.x;
+    obj.py = obj.y;
+    if (obj.a !== undefined) obj.pa = obj.a;
+    return obj;
+};
+
+// Ids are handed out from the game state, so they are as deterministic as
+// everything else in a run.
+export const nextId = (state) => state.nextId++;
+
+export const checkCollision = (obj1, obj2) => {
+    const dx = obj1.x - obj2.x;
+    const dy = obj1.y - obj2.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    return distance < obj1.r + obj2.r;
+};
@@ -0,0 +1,80 @@
+// --- Shapes ---
+// The outlines objects are drawn with, in field coordinates, and the tests
+// the engine uses to make hits match them. Ships are the triangle of their
+// hull and asteroids their jagged polygon; everything else is a circle.
+//
+// Angles are counter-clockwise from the positive x axis, as everywhere in the
+// engine; outlines are built in a local frame with the nose pointing up (-y)
+// and turned from there, the way the renderer draws them.
+
+// The hull's points, in multiples of the ship's radius.
+export const HULL = [[0, -1], [-0.75, 1], [0.75, 1]];
+// How far the hull reaches from the ship's centre, in multiples of its radius.
+const HULL_REACH = Math.hypot(0.75, 1);
+
+// Turns a point in an object's nose-up local frame to face `angle`.
+const place = ([lx, ly], x, y, angle) => {
+    const turn = Math.PI / 2 - angle;
+    const cos = Math.cos(turn);
+    const sin = Math.sin(turn);
+    return [x + lx * cos - ly * sin, y + lx * sin + ly * cos];
+};
+
+export const shipHull = (ship, { x = ship.x, y = ship.y, a = ship.a } = {}) =>
+    HULL.map(([lx, ly]) => place([lx * ship.r, ly * ship.r], x, y, a));
+
+// `shape` holds each vertex's distance from the centre as a fraction of `r`.
+export const asteroidOutline = (asteroid, { x = asteroid.x, y = asteroid.y, a = asteroid.a } = {}) => {
+    const { shape, r } = asteroid;
+    return shape.map((scale, i) => {
+        const angle = a + (i * Math.PI * 2) / shape.length;
+        return [x + Math.cos(angle) * r * scale, y - Math.sin(angle) * r * scale];
+    });
+};
+
+const pointInPolygon = ([px, py], polygon) => {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [xi, yi] = polygon[i];
+        const [xj, yj] = polygon[j];
+        if ((yi > py) !== (yj > py) && px < ((xj - xi) * (py - yi)) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+};
+
+const distanceToSegmentSquared = ([px, py], [ax, ay], [bx, by]) => {
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSquared));
+    const cx = ax + t * dx - px;
+    const cy = ay + t * dy - py;
+    return cx * cx + cy * cy;
+};
+
+const segmentsCross = ([ax, ay], [bx, by], [cx, cy], [dx, dy]) => {
+    const side = (px, py, qx, qy, rx, ry) => Math.sign((qx - px) * (ry - py) - (qy - py) * (rx - px));
+    return side(ax, ay, bx, by, cx, cy) !== side(ax, ay, bx, by, dx, dy)
+        && side(cx, cy, dx, dy, ax, ay) !== side(cx, cy, dx, dy, bx, by);
+};
+
+const edges = (polygon) => polygon.map((point, i) => [point, polygon[(i + 1) % polygon.length]]);
+
+const circleHitsPolygon = ({ x, y, r }, polygon) =>
+    pointInPolygon([x, y], polygon)
+    || edges(polygon).some(([p1, p2]) => distanceToSegmentSquared([x, y], p1, p2) < r * r);
+
+const polygonsIntersect = (a, b) =>
+    pointInPolygon(a[0], b) || pointInPolygon(b[0], a)
+    || edges(a).some(([p1, p2]) => edges(b).some(([q1, q2]) => segmentsCross(p1, p2, q1, q2)));
+
+// Bounding circles first; the outlines only when those overlap.
+const inReach = (obj1, reach1, obj2, reach2) => Math.hypot(obj1.x - obj2.x, obj1.y - obj2.y) < reach1 + reach2;
+
+// Whether a round object (a bullet, a saucer) touches an asteroid.
+export const circleHitsAsteroid = (circle, asteroid) =>
+    inReach(circle, circle.r, asteroid, asteroid.r) && circleHitsPolygon(circle, asteroidOutline(asteroid));
+
+export const shipHitsAsteroid = (ship, asteroid) =>
+    inReach(ship, ship.r * HULL_REACH, asteroid, asteroid.r)
+    && polygonsIntersect(shipHull(ship), asteroidOutline(asteroid));
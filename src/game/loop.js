@@ -0,0 +1,70 @@
+// --- Fixed-Timestep Loop ---
+// Accumulates real elapsed time from requestAnimationFrame and spends it in
+// fixed `tickMs` slices, so the simulation runs at the same speed whatever
+// the display refresh rate. `render` gets the fraction of a tick left over,
+// which it uses to interpolate between the previous and current positions.
+// At a `speed` below 1 real time is spent more slowly, so the game runs in
+// slow motion; the ticks themselves, and so the simulation, are unchanged.
+
+// Longest stretch of real time a single frame may account for. Anything
+// beyond it (a dropped tab, a debugger pause) is discarded rather than
+// replayed as a burst of catch-up ticks.
+const MAX_FRAME_MS = 250;
+
+export const createLoop = ({ tickMs, update, render }) => {
+    let frameId = null;
+    let lastFrameTime = null;
+    let accumulator = 0;
+    let paused = false;
+    let speed = 1;
+
+    const frame = (now) => {
+        if (lastFrameTime !== null && !paused) {
+            accumulator += Math.min(now - lastFrameTime, MAX_FRAME_MS) * speed;
+            while (accumulator >= tickMs && frameId !== null) {
+                update(tickMs);
+                accumulator -= tickMs;
+            }
+        }
+        // update() may have stopped the loop.
+        if (frameId === null) return;
+        lastFrameTime = now;
+        render(accumulator / tickMs);
+        frameId = requestAnimationFrame(frame);
+    };
+
+    return {
+        start: () => {
+            if (frameId !== null) return;
+            lastFrameTime = null;
+            frameId = requestAnimationFrame(frame);
+        },
+        stop: () => {
+            cancelAnimationFrame(frameId);
+            frameId = null;
+        },
+        // While paused the loop keeps rendering but no simulation time passes.
+        pause: () => {
+            paused = true;
+        },
+        resume: () => {
+            paused = false;
+        },
+        isPaused: () => paused,
+        setSpeed: (value) => {
+            speed = value;
+        },
+    };
+};
+
+// Position of `obj` `alpha` of the way from its previous to its current
+// position. Objects that wrapped around the edge during the last tick are
+// drawn where they are now instead of streaking across the screen.
+export const interpolate = (obj, alpha, width, height) => {
+    const dx = obj.x - obj.px;
+    const dy = obj.y - obj.py;
+    if (Math.abs(dx) > width / 2 || Math.abs(dy) > height / 2) {
+        return { x: obj.x, y: obj.y };
+    }
+    return { x: obj.px + dx * alpha, y: obj.py + dy * alpha };
+};
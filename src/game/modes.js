@@ -0,0 +1,73 @@
+import { dayKey } from '../shared/periods.js';
+
+// --- Game Modes ---
+// The single-player modes. Each plays by its own engine rules (overriding
+// DEFAULT_RULES) and, if it's ranked, has a leaderboard of its own: the
+// collection under `artifacts/${appId}/public/data/` its scores go to, the
+// boards (see leaderboard.js) shown for it and the personal best document it
+// keeps. Shared by the client and the Cloud Functions, which verify every
+// run against its mode's rules.
+//
+// The daily challenge is the same field for everyone on a UTC day: its seed
+// comes from the date, and each player gets one ranked attempt at it. Zen
+// is for practice; its runs are neither ranked nor counted in the profile.
+
+export const GAME_MODES = {
+    classic: {
+        label: 'CLASSIC',
+        description: 'Three lives, endless waves.',
+        rules: {},
+        leaderboard: 'highscores',
+        boards: ['daily', 'weekly', 'allTime'],
+        personalBest: 'best',
+    },
+    daily: {
+        label: 'DAILY CHALLENGE',
+        description: 'The same field for everyone today. One ranked attempt.',
+        rules: {},
+        leaderboard: 'dailyChallengeScores',
+        boards: ['daily'],
+        personalBest: 'daily',
+        daily: true,
+    },
+    timeAttack: {
+        label: 'TIME ATTACK',
+        description: 'Two minutes and no lives to lose. More power-ups, faster waves.',
+        rules: { timeLimit: 120000, limitedLives: false, waveDelay: 1000, powerupSpawnRate: 0.15 },
+        leaderboard: 'timeAttackScores',
+        boards: ['daily', 'weekly', 'allTime'],
+        personalBest: 'timeAttack',
+    },
+    zen: {
+        label: 'ZEN',
+        description: 'No saucers and no dying. Not ranked.',
+        rules: { shipsCanDie: false, saucers: false },
+        leaderboard: null,
+        boards: [],
+        personalBest: null,
+    },
+};
+
+export const DEFAULT_MODE = 'classic';
+
+export const RANKED_MODES = Object.keys(GAME_MODES).filter((id) => GAME_MODES[id].leaderboard);
+
+export const isGameMode = (id) => Object.hasOwn(GAME_MODES, id);
+
+// The seed of the daily challenge for a day key, from an FNV-1a hash of it.
+export const dailySeed = (day) => {
+    let hash = 0x811c9dc5;
+    for (const char of `daily:${day}`) {
+        hash ^= char.charCodeAt(0);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The day of the challenge `seed` belongs to: today's, or yesterday's so that
+// a run finished (or back online) just after midnight still counts. Null if
+// it's neither.
+export const dailyChallengeDay = (seed, now) =>
+    [dayKey(now), dayKey(new Date(now.getTime() - DAY_MS))].find((day) => dailySeed(day) === seed) ?? null;
@@ -0,0 +1,113 @@
+import { random } from './rng.js';
+
+// --- Power-up Registry ---
+// Every kind of power-up the field can drop. Timed kinds become an entry in
+// the collecting ship's `effects` (kind -> simulation time it runs out);
+// instant kinds are applied once by the engine on pickup.
+//
+// `stacking` decides what picking up a kind that is already active does:
+//   'refresh' - restart the timer at the full duration
+//   'extend'  - add the duration to what is left, up to `maxDuration`
+//   'instant' - no timer, the effect happens on pickup
+//
+// `sprite` is a list of line segments in unit coordinates (-1..1), drawn
+// inside the power-up's circle.
+
+export const POWERUP_TYPES = {
+    rapidFire: {
+        label: 'RAPID FIRE',
+        color: '#ff00ff',
+        duration: 5000,
+        stacking: 'refresh',
+        weight: 3,
+        sprite: [[-1, 0, 1, 0], [0, -1, 0, 1]],
+    },
+    shield: {
+        label: 'SHIELD',
+        color: '#00ffff',
+        duration: 8000,
+        maxDuration: 16000,
+        stacking: 'extend',
+        weight: 2,
+        sprite: [[-0.7, -0.8, 0.7, -0.8], [0.7, -0.8, 0.7, 0.1], [0.7, 0.1, 0, 1], [0, 1, -0.7, 0.1], [-0.7, 0.1, -0.7, -0.8]],
+    },
+    spreadShot: {
+        label: 'SPREAD SHOT',
+        color: '#ff8800',
+        duration: 8000,
+        stacking: 'refresh',
+        weight: 2,
+        sprite: [[0, 1, -0.8, -0.8], [0, 1, 0, -1], [0, 1, 0.8, -0.8]],
+    },
+    piercing: {
+        label: 'PIERCING',
+        color: '#ff3366',
+        duration: 6000,
+        maxDuration: 12000,
+        stacking: 'extend',
+        weight: 2,
+        sprite: [[-1, 0, 1, 0], [1, 0, 0.4, -0.6], [1, 0, 0.4, 0.6]],
+    },
+    smartBomb: {
+        label: 'SMART BOMB',
+        color: '#ff2222',
+        duration: 0,
+        stacking: 'instant',
+        weight: 1,
+        sprite: [[-1, -1, 1, 1], [-1, 1, 1, -1], [-1, 0, 1, 0], [0, -1, 0, 1]],
+    },
+    extraLife: {
+        label: 'EXTRA LIFE',
+        color: '#00ff00',
+        duration: 0,
+        stacking: 'instant',
+        weight: 1,
+        sprite: [[0, -1, -0.6, 0.8], [-0.6, 0.8, 0.6, 0.8], [0.6, 0.8, 0, -1]],
+    },
+};
+
+const TOTAL_WEIGHT = Object.values(POWERUP_TYPES).reduce((sum, type) => sum + type.weight, 0);
+
+export const pickPowerupKind = (rng) => {
+    let roll = random(rng) * TOTAL_WEIGHT;
+    for (const [kind, type] of Object.entries(POWERUP_TYPES)) {
+        roll -= type.weight;
+        if (roll < 0) return kind;
+    }
+    return 'rapidFire';
+};
+
+// Starts or stacks a timed effect according to its kind's stacking rule.
+export const applyEffect = (effects, kind, time) => {
+    const { duration, maxDuration, stacking } = POWERUP_TYPES[kind];
+    const remaining = Math.max((effects[kind] ?? time) - time, 0);
+    switch (stacking) {
+        case 'extend':
+            effects[kind] = time + Math.min(remaining + duration, maxDuration ?? Infinity);
+            break;
+        case 'refresh':
+            effects[kind] = time + duration;
+            break;
+    }
+};
+
+// `ship` defaults to the first ship, the only one in single player.
+export const isEffectActive = (state, kind, ship = state.ship) => state.time < (ship.effects[kind] ?? 0);
+
+// Drops effects whose timers have run out, reporting each one.
+export const expireEffects = (state) => {
+    state.ships.forEach((ship) => {
+        for (const [kind, endTime] of Object.entries(ship.effects)) {
+            if (state.time >= endTime) {
+                delete ship.effects[kind];
+                state.events.push({ type: 'effectExpired', ship: ship.index, kind });
+            }
+        }
+    });
+};
+
+// A ship's active timed effects in registry order, with the time each has left.
+export const activeEffects = (state, ship = state.ship) =>
+    Object.keys(POWERUP_TYPES)
+        .filter((kind) => isEffectActive(state, kind, ship))
+        .map((kind) => ({ kind, remainingMs: ship.effects[kind] - state.time }));
@@ -0,0 +1,156 @@
+import { createGame, step, TICK_MS } from './engine.js';
+import { GAME_MODES, isGameMode } from './modes.js';
+
+// --- Replays ---
+// A run is its seed, its game mode and the inputs of every tick. It plays
+// back by its mode's rules; the rules it was recorded with are kept alongside
+// for reference only.
+// Inputs are quantised before they reach the engine so that what gets
+// recorded is exactly what was simulated, then run-length encoded into a
+// compact string: one "count,rotate,aim,thrust,flags" group per run of
+// identical ticks, groups separated by spaces. `rotate` is in hundredths,
+// `aim` in thousandths of a radian ('n' for none) and `flags` has bit 1 for
+// fire and bit 2 for hyperspace.
+
+// 2: the field is always the world size. 3: jagged, spinning asteroids.
+// 4: replays name their game mode.
+export const REPLAY_VERSION = 4;
+
+// `|| 0` turns -0, which the encoding can't tell from 0, into 0.
+export const quantizeInputs = (inputs) => ({
+    rotate: Math.round(inputs.rotate * 100) / 100 || 0,
+    aim: inputs.aim === null ? null : Math.round(inputs.aim * 1000) / 1000 || 0,
+    thrust: inputs.thrust,
+    fire: !!inputs.fire,
+    hyperspace: !!inputs.hyperspace,
+});
+
+const encodeInputs = ({ rotate, aim, thrust, fire, hyperspace }) => [
+    Math.round(rotate * 100),
+    aim === null ? 'n' : Math.round(aim * 1000),
+    thrust,
+    (fire ? 1 : 0) | (hyperspace ? 2 : 0),
+].join(',');
+
+const decodeInputs = (encoded) => {
+    const [rotate, aim, thrust, flags] = encoded.split(',');
+    return {
+        rotate: Number(rotate) / 100,
+        aim: aim === 'n' ? null : Number(aim) / 1000,
+        thrust: Number(thrust),
+        fire: (Number(flags) & 1) !== 0,
+        hyperspace: (Number(flags) & 2) !== 0,
+    };
+};
+
+// Starts recording a game of `mode` from its current (initial) state.
+export const createRecorder = (game, mode) => ({
+    seed: game.seed,
+    mode,
+    rules: game.rules,
+    ticks: 0,
+    runs: [],
+});
+
+// Records the (already quantised) inputs for the next tick.
+export const recordTick = (recorder, inputs) => {
+    const encoded = encodeInputs(inputs);
+    const last = recorder.runs[recorder.runs.length - 1];
+    if (last && last.inputs === encoded) {
+        last.count += 1;
+    } else {
+        recorder.runs.push({ inputs: encoded, count: 1 });
+    }
+    recorder.ticks += 1;
+};
+
+export const encodeReplay = (recorder) => ({
+    version: REPLAY_VERSION,
+    seed: recorder.seed,
+    mode: recorder.mode,
+    rules: recorder.rules,
+    tickMs: TICK_MS,
+    ticks: recorder.ticks,
+    inputs: recorder.runs.map(({ inputs, count }) => `${count},${inputs}`).join(' '),
+});
+
+// Yields the inputs of every tick in an encoded replay.
+export function* replayInputs(replay) {
+    if (!replay.inputs) return;
+    for (const group of replay.inputs.split(' ')) {
+        const comma = group.indexOf(',');
+        const count = Number(group.slice(0, comma));
+        const inputs = decodeInputs(group.slice(comma + 1));
+        for (let i = 0; i < count; i++) yield inputs;
+    }
+}
+
+// Throws if `replay` isn't something runReplay() can run.
+export const validateReplay = (replay, { maxTicks = Infinity, maxInputsLength = Infinity } = {}) => {
+    if (!replay || typeof replay !== 'object') throw new Error('Replay missing');
+    if (replay.version !== REPLAY_VERSION) throw new Error(`Unsupported replay version ${replay.version}`);
+    if (replay.tickMs !== TICK_MS) throw new Error('Replay tick length does not match');
+    if (!Number.isInteger(replay.seed)) throw new Error('Replay seed invalid');
+    if (!isGameMode(replay.mode)) throw new Error('Replay game mode unknown');
+    if (!Number.isInteger(replay.ticks) || replay.ticks < 0 || replay.ticks > maxTicks) throw new Error('Replay length invalid');
+    if (typeof replay.inputs !== 'string') throw new Error('Replay inputs malformed');
+    if (replay.inputs.length > maxInputsLength) throw new Error('Replay too long');
+    if (!/^(\d+,-?\d+,(n|-?\d+),-?[01],[0-3])?( \d+,-?\d+,(n|-?\d+),-?[01],[0-3])*$/.test(replay.inputs)) {
+        throw new Error('Replay inputs malformed');
+    }
+};
+
+// Steps a fresh game through an encoded replay one tick at a time, for
+// watching it or racing it as a ghost.
+export const createPlayback = (replay, { rules = GAME_MODES[replay.mode].rules } = {}) => {
+    const state = createGame({ seed: replay.seed, rules });
+    const ticks = replayInputs(replay);
+    let tick = 0;
+    return {
+        state,
+        tick: () => tick,
+        // Runs the next tick. Returns false, leaving the game as it was, once
+        // the inputs have run out.
+        advance: () => {
+            const next = ticks.next();
+            if (next.done) return false;
+            step(state, next.value, TICK_MS);
+            tick += 1;
+            return true;
+        },
+    };
+};
+
+// Re-simulates an encoded replay and returns the final game state.
+export const runReplay = (replay, { rules = GAME_MODES[replay.mode].rules } = {}) => {
+    const playback = createPlayback(replay, { rules });
+    while (playback.tick() <= replay.ticks && playback.advance());
+    if (playback.tick() !== replay.ticks) throw new Error('Replay length does not match its inputs');
+    return playback.state;
+};
+
+// --- Replay Files ---
+// A replay exported to share: the encoded replay with the name and score it
+// was saved under, as one line of JSON.
+
+const FILE_FORMAT = 'asteroid-shooter-replay';
+
+export const exportReplay = ({ name, score, replay }) => JSON.stringify({ format: FILE_FORMAT, name, score, replay });
+
+// Parses an exported replay back into { name, score, replay }. Throws with a
+// message for the player if it isn't one this version can play.
+export const importReplay = (text) => {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch (error) {
+        throw new Error('That file is not a replay.', { cause: error });
+    }
+    if (file?.format !== FILE_FORMAT) throw new Error('That file is not a replay.');
+    validateReplay(file.replay);
+    return {
+        name: typeof file.name === 'string' ? file.name.slice(0, 16) : '',
+        score: Number.isInteger(file.score) ? file.score : 0,
+        replay: file.replay,
+    };
+};
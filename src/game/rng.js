@@ -0,0 +1,22 @@
+// --- Seedable Random Number Generator ---
+// Mulberry32. The whole generator state is a single 32-bit integer kept in a
+// plain object, so it can live inside the game state and be copied with it.
+
+export const createRng = (seed) => ({ state: seed >>> 0 });
+
+// Returns a float in [0, 1), like Math.random().
+export const random = (rng) => {
+    rng.state = (rng.state + 0x6d2b79f5) >>> 0;
+    let t = rng.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+export const randomRange = (rng, min, max) => min + random(rng) * (max - min);
+
+export const randomInt = (rng, min, max) => Math.floor(randomRange(rng, min, max + 1));
+
+// A fresh seed for a new run. This is the only place gameplay code may touch
+// Math.random(); everything after it must go through the seeded generator.
+export const randomSeed = () => Math.floor(Math.random() * 4294967296) >>> 0;
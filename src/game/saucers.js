@@ -0,0 +1,112 @@
+import { random, randomRange } from './rng.js';
+import { nextId, withPrevious } from './entities.js';
+
+// --- Enemy Saucers ---
+// Saucers enter from the left or right edge, cross the field with the odd
+// change of vertical course and fire at the player. Large saucers shoot in
+// random directions; small ones aim at a ship, more accurately as the
+// score climbs.
+
+export const SAUCER_TYPES = {
+    large: { r: 20, points: 200, speed: 80, fireInterval: 1500 },
+    small: { r: 10, points: 1000, speed: 120, fireInterval: 1000 },
+};
+
+const SAUCER_BULLET_SPEED = 200; // px per second
+const SAUCER_BULLET_SIZE = 3;
+const SAUCER_COURSE_CHANGE_INTERVAL = 1000;
+const SAUCER_FIRST_WAVE = 2;
+const SAUCER_SPAWN_INTERVAL = 20000; // at the first wave saucers appear in
+const SAUCER_SPAWN_INTERVAL_STEP = 2000; // taken off per wave after that
+const SAUCER_MIN_SPAWN_INTERVAL = 6000;
+const SMALL_SAUCER_SCORE = 10000; // from here on only small saucers come
+const SMALL_SAUCER_MAX_AIM_ERROR = 0.5; // radians, shrinking with score
+
+export const saucerSpawnInterval = (wave) =>
+    Math.max(SAUCER_SPAWN_INTERVAL - (wave - SAUCER_FIRST_WAVE) * SAUCER_SPAWN_INTERVAL_STEP, SAUCER_MIN_SPAWN_INTERVAL);
+
+// Saucers show up from SAUCER_FIRST_WAVE on; null means "not yet".
+export const nextSaucerTime = (state) =>
+    state.wave < SAUCER_FIRST_WAVE ? null : state.time + saucerSpawnInterval(state.wave);
+
+const pickSaucerSize = (state) => {
+    if (state.score >= SMALL_SAUCER_SCORE) return 'small';
+    return random(state.rng) < state.score / SMALL_SAUCER_SCORE ? 'small' : 'large';
+};
+
+export const createSaucer = (state) => {
+    const { rng, width, height } = state;
+    const size = pickSaucerSize(state);
+    const { r, speed } = SAUCER_TYPES[size];
+    const direction = random(rng) < 0.5 ? 1 : -1;
+    const saucer = withPrevious({
+        id: nextId(state),
+        size,
+        x: direction > 0 ? -r : width + r,
+        y: randomRange(rng, height * 0.1, height * 0.9),
+        r,
+        velocity: { x: direction * speed, y: 0 },
+        nextCourseChange: state.time + SAUCER_COURSE_CHANGE_INTERVAL,
+        nextShot: state.time + SAUCER_TYPES[size].fireInterval,
+    });
+    state.saucers.push(saucer);
+    state.events.push({ type: 'saucerSpawned', size });
+};
+
+// Small saucers go for the nearest ship still in the field.
+const pickTarget = (state, saucer) => {
+    const alive = state.ships.filter((ship) => ship.status === 'alive');
+    if (alive.length === 0) return state.ship;
+    const distance = (ship) => Math.hypot(ship.x - saucer.x, ship.y - saucer.y);
+    return alive.reduce((nearest, ship) => (distance(ship) < distance(nearest) ? ship : nearest));
+};
+
+const aimAngle = (state, saucer) => {
+    const { rng } = state;
+    if (saucer.size === 'large') return random(rng) * Math.PI * 2;
+    const ship = pickTarget(state, saucer);
+    const error = SMALL_SAUCER_MAX_AIM_ERROR * Math.max(1 - state.score / (SMALL_SAUCER_SCORE * 4), 0);
+    return Math.atan2(-(ship.y - saucer.y), ship.x - saucer.x) + randomRange(rng, -error, error);
+};
+
+const fire = (state, saucer) => {
+    const angle = aimAngle(state, saucer);
+    state.bullets.push(withPrevious({
+        id: nextId(state),
+        owner: 'saucer',
+        x: saucer.x,
+        y: saucer.y,
+        r: SAUCER_BULLET_SIZE,
+        piercing: false,
+        velocity: {
+            x: Math.cos(angle) * SAUCER_BULLET_SPEED,
+            y: -Math.sin(angle) * SAUCER_BULLET_SPEED,
+        },
+    }));
+    state.events.push({ type: 'saucerShot', x: saucer.x });
+};
+
+// Moves and fires one saucer. Returns false once it has left the field on
+// the far side.
+export const updateSaucer = (state, saucer, dt) => {
+    const { rng, width, height } = state;
+    const { speed, fireInterval } = SAUCER_TYPES[saucer.size];
+
+    if (state.time >= saucer.nextCourseChange) {
+        const course = Math.floor(random(rng) * 3) - 1;
+        saucer.velocity.y = course * speed * 0.5;
+        saucer.nextCourseChange = state.time + SAUCER_COURSE_CHANGE_INTERVAL;
+    }
+
+    saucer.x += saucer.velocity.x * dt;
+    saucer.y += saucer.velocity.y * dt;
+    if (saucer.y < 0) saucer.y = height;
+    if (saucer.y > height) saucer.y = 0;
+
+    if (state.time >= saucer.nextShot) {
+        fire(state, saucer);
+        saucer.nextShot = state.time + fireInterval;
+    }
+
+    return saucer.velocity.x > 0 ? saucer.x <= width + saucer.r : saucer.x >= -saucer.r;
+};
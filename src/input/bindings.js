@@ -0,0 +1,55 @@
+// --- Input Actions and Key Bindings ---
+// Everything the player can do, independent of the device doing it. Keys are
+// stored as KeyboardEvent.key values, with letters lower-cased.
+
+export const ACTIONS = [
+    { id: 'rotateLeft', label: 'Rotate left' },
+    { id: 'rotateRight', label: 'Rotate right' },
+    { id: 'thrust', label: 'Thrust' },
+    { id: 'reverse', label: 'Reverse' },
+    { id: 'fire', label: 'Fire' },
+    { id: 'hyperspace', label: 'Hyperspace' },
+    { id: 'pause', label: 'Pause' },
+];
+
+export const DEFAULT_KEY_BINDINGS = {
+    rotateLeft: ['ArrowLeft', 'a'],
+    rotateRight: ['ArrowRight', 'd'],
+    thrust: ['ArrowUp', 'w'],
+    reverse: ['ArrowDown', 's'],
+    fire: [' '],
+    hyperspace: ['Shift', 'h'],
+    pause: ['Escape', 'p'],
+};
+
+export const normalizeKey = (key) => (key.length === 1 ? key.toLowerCase() : key);
+
+export const keyLabel = (key) => {
+    if (key === ' ') return 'Space';
+    if (key.startsWith('Arrow')) return key.slice(5);
+    return key.length === 1 ? key.toUpperCase() : key;
+};
+
+// key -> action, for looking up keyboard events.
+export const keyMap = (bindings) => {
+    const map = new Map();
+    Object.entries(bindings).forEach(([action, keys]) => {
+        keys.forEach((key) => map.set(key, action));
+    });
+    return map;
+};
+
+// Binds `key` to `action`, taking it away from whichever action had it.
+export const bindKey = (bindings, action, key) => {
+    const next = {};
+    Object.entries(bindings).forEach(([id, keys]) => {
+        next[id] = keys.filter((k) => k !== key);
+    });
+    next[action] = [...next[action], key];
+    return next;
+};
+
+export const unbindKey = (bindings, action, key) => ({
+    ...bindings,
+    [action]: bindings[action].filter((k) => k !== key),
+});
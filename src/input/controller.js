@@ -0,0 +1,205 @@
+import { clientToWorld } from '../render/viewport.js';
+import { keyMap, normalizeKey } from './bindings.js';
+
+// --- Input Controller ---
+// Collects the keyboard, mouse, on-screen touch controls and gamepads into one
+// set of held actions, and turns them into engine inputs once per tick with
+// sample(). Fire is a held action: the engine's shot cooldown paces the
+// auto-repeat. Hyperspace and pause fire once per press.
+
+// Holding the left mouse button longer than this turns a shot into thrust.
+const MOUSE_HOLD_TO_THRUST_MS = 200;
+const STICK_DEAD_ZONE = 0.2;
+const TRIGGER_THRESHOLD = 0.3;
+
+// Standard gamepad mapping (https://w3c.github.io/gamepad/#remapping)
+const PAD = {
+    a: 0,
+    b: 1,
+    x: 2,
+    leftTrigger: 6,
+    rightTrigger: 7,
+    start: 9,
+    dpadUp: 12,
+    dpadDown: 13,
+    dpadLeft: 14,
+    dpadRight: 15,
+};
+
+const readGamepads = () => {
+    const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+    const held = new Set();
+    let stick = 0;
+    for (const pad of pads) {
+        if (!pad || !pad.connected) continue;
+        const pressed = (index) => {
+            const button = pad.buttons[index];
+            return !!button && (button.pressed || button.value > TRIGGER_THRESHOLD);
+        };
+        const x = pad.axes[0] ?? 0;
+        if (Math.abs(x) > STICK_DEAD_ZONE && stick === 0) stick = -x;
+        if (pressed(PAD.dpadLeft)) held.add('rotateLeft');
+        if (pressed(PAD.dpadRight)) held.add('rotateRight');
+        if (pressed(PAD.rightTrigger) || pressed(PAD.dpadUp)) held.add('thrust');
+        if (pressed(PAD.leftTrigger) || pressed(PAD.dpadDown)) held.add('reverse');
+        if (pressed(PAD.a) || pressed(PAD.x)) held.add('fire');
+        if (pressed(PAD.b)) held.add('hyperspace');
+        if (pressed(PAD.start)) held.add('pause');
+    }
+    return { held, stick };
+};
+
+// `touch` is the state the on-screen touch controls write into:
+// { aim, thrust, fire }.
+export const createInputController = ({ bindings, canvas, touch, usePointer = true, onPause = () => {} }) => {
+    let keys = keyMap(bindings);
+    const heldKeys = new Map(); // key -> action
+    let presses = new Set(); // actions pressed since the last sample
+    let padHeld = new Set();
+
+    // Where the mouse is aiming, in field coordinates. Null until the mouse
+    // moves over the field, and again once the keyboard takes over steering,
+    // so a resting cursor doesn't fight the arrow keys.
+    let pointer = null;
+    let mouseFireDownAt = null;
+    let mouseThrust = false;
+
+    const heldActions = () => new Set([...heldKeys.values(), ...padHeld]);
+
+    const handleKeyDown = (e) => {
+        const key = normalizeKey(e.key);
+        const action = keys.get(key);
+        if (!action) return;
+        e.preventDefault();
+        if (e.repeat) return;
+        heldKeys.set(key, action);
+        presses.add(action);
+        if (action === 'rotateLeft' || action === 'rotateRight') pointer = null;
+        if (action === 'pause') onPause();
+    };
+
+    const handleKeyUp = (e) => {
+        heldKeys.delete(normalizeKey(e.key));
+    };
+
+    // Keys released while the window is in the background never send keyup.
+    const handleBlur = () => {
+        heldKeys.clear();
+        mouseFireDownAt = null;
+        mouseThrust = false;
+    };
+
+    const toField = (e) => clientToWorld(canvas, e.clientX, e.clientY);
+
+    // Left button: fire on press (and while held), thrust once held a moment.
+    // Right button: thrust.
+    const handleMouseDown = (e) => {
+        e.preventDefault();
+        pointer = toField(e);
+        if (e.button === 0) {
+            mouseFireDownAt = performance.now();
+            presses.add('fire');
+        }
+        if (e.button === 2) mouseThrust = true;
+    };
+
+    const handleMouseUp = (e) => {
+        if (e.button === 0) mouseFireDownAt = null;
+        if (e.button === 2) mouseThrust = false;
+    };
+
+    const handleMouseMove = (e) => {
+        pointer = toField(e);
+    };
+
+    const handleMouseLeave = () => {
+        pointer = null;
+    };
+
+    const handleContextMenu = (e) => e.preventDefault();
+
+    const pollGamepads = () => {
+        const { held, stick } = readGamepads();
+        held.forEach((action) => {
+            if (!padHeld.has(action)) presses.add(action);
+        });
+        if (held.has('pause') && !padHeld.has('pause')) onPause();
+        padHeld = held;
+        return stick;
+    };
+
+    return {
+        attach: () => {
+            window.addEventListener('keydown', handleKeyDown);
+            window.addEventListener('keyup', handleKeyUp);
+            window.addEventListener('blur', handleBlur);
+            if (usePointer) {
+                canvas.addEventListener('mousedown', handleMouseDown);
+                window.addEventListener('mouseup', handleMouseUp);
+                canvas.addEventListener('mousemove', handleMouseMove);
+                canvas.addEventListener('mouseleave', handleMouseLeave);
+                canvas.addEventListener('contextmenu', handleContextMenu);
+            }
+        },
+
+        detach: () => {
+            window.removeEventListener('keydown', handleKeyDown);
+            window.removeEventListener('keyup', handleKeyUp);
+            window.removeEventListener('blur', handleBlur);
+            canvas.removeEventListener('mousedown', handleMouseDown);
+            window.removeEventListener('mouseup', handleMouseUp);
+            canvas.removeEventListener('mousemove', handleMouseMove);
+            canvas.removeEventListener('mouseleave', handleMouseLeave);
+            canvas.removeEventListener('contextmenu', handleContextMenu);
+        },
+
+        setBindings: (next) => {
+            keys = keyMap(next);
+            heldKeys.clear();
+        },
+
+        // Keeps gamepad buttons (Start in particular) responsive while the
+        // simulation isn't sampling, e.g. when paused.
+        poll: () => {
+            pollGamepads();
+        },
+
+        // Forgets presses made while the game wasn't listening for them.
+        clearPresses: () => {
+            presses = new Set();
+        },
+
+        // Engine inputs for the next tick, steering a ship at `ship`.
+        sample: (ship) => {
+            const stick = pollGamepads();
+            const held = heldActions();
+            const pressed = presses;
+            presses = new Set();
+
+            const mouseHeldFor = mouseFireDownAt === null ? 0 : performance.now() - mouseFireDownAt;
+            let aim = null;
+            if (pointer) {
+                aim = Math.atan2(-(pointer.y - ship.y), pointer.x - ship.x);
+            } else if (touch.aim !== null) {
+                aim = touch.aim;
+            }
+
+            let rotate = (held.has('rotateLeft') ? 1 : 0) - (held.has('rotateRight') ? 1 : 0);
+            if (rotate === 0) rotate = stick;
+
+            const forward = held.has('thrust') || mouseThrust || mouseHeldFor > MOUSE_HOLD_TO_THRUST_MS || touch.thrust;
+            const thrust = (forward ? 1 : 0) - (held.has('reverse') ? 1 : 0);
+
+            // A tap shorter than a tick still gets its shot.
+            const fire = held.has('fire') || pressed.has('fire') || mouseFireDownAt !== null || touch.fire;
+
+            return {
+                rotate,
+                aim,
+                thrust,
+                fire,
+                hyperspace: pressed.has('hyperspace'),
+            };
+        },
+    };
+};
@@ -0,0 +1,130 @@
+import { createGame } from '../game/engine.js';
+
+// --- Game Frames ---
+// The host's game state as sent to the guest, and the guest's side of it:
+// frames are buffered and the guest draws the field a little in the past,
+// between the two frames either side of that moment, so remote motion is
+// smooth despite frames arriving a few times a second and unevenly.
+//
+// A frame carries only what the guest needs to draw and run its HUD, with
+// positions rounded to a tenth of a pixel to keep documents small.
+
+const INTERPOLATION_DELAY_MS = 250; // how far behind the newest frame to draw
+const BUFFER_SIZE = 10;
+
+const round = (n) => Math.round(n * 10) / 10;
+
+const encodeEntity = ({ id, x, y, r }) => ({ id, x: round(x), y: round(y), r });
+
+// `events` are the engine events since the last frame, for the guest's sounds.
+export const encodeFrame = (state, events) => ({
+    time: state.time,
+    over: state.over,
+    score: state.score,
+    lives: state.lives,
+    wave: state.wave,
+    ships: state.ships.map((ship) => ({
+        x: round(ship.x),
+        y: round(ship.y),
+        a: Math.round(ship.a * 1000) / 1000,
+        r: ship.r,
+        thrust: ship.thrust,
+        status: ship.status,
+        out: ship.out,
+        deathTime: ship.deathTime,
+        invulnerableUntil: ship.invulnerableUntil,
+        effects: ship.effects,
+        score: ship.score,
+        lives: ship.lives,
+    })),
+    asteroids: state.asteroids.map((asteroid) => ({
+        ...encodeEntity(asteroid),
+        type: asteroid.type,
+        a: Math.round(asteroid.a * 1000) / 1000,
+        shape: asteroid.shape.map((scale) => Math.round(scale * 100) / 100),
+    })),
+    bullets: state.bullets.map((bullet) => ({ ...encodeEntity(bullet), owner: bullet.owner, ship: bullet.ship ?? null })),
+    saucers: state.saucers.map((saucer) => ({ ...encodeEntity(saucer), size: saucer.size })),
+    powerups: state.powerups.map((powerup) => ({ ...encodeEntity(powerup), kind: powerup.kind, expiresAt: powerup.expiresAt })),
+    events: events.map(({ type, ship = null, x, y, size = null, kind = null, bullets = null }) => ({
+        type,
+        ship,
+        x: x === undefined ? null : round(x),
+        y: y === undefined ? null : round(y),
+        size,
+        kind,
+        bullets,
+    })),
+});
+
+// Frames in the order they arrived, with the local time each did.
+export const createFrameBuffer = () => ({ frames: [], lastSeq: -1 });
+
+// Adds a frame; stale and repeated ones are dropped. Returns whether it was new.
+export const pushFrame = (buffer, frame, receivedAt) => {
+    if (frame.seq <= buffer.lastSeq) return false;
+    buffer.lastSeq = frame.seq;
+    buffer.frames.push({ frame, receivedAt });
+    if (buffer.frames.length > BUFFER_SIZE) buffer.frames.shift();
+    return true;
+};
+
+// A game state for the guest to draw, filled in by applyFrames().
+export const createView = ({ players }) => createGame({ seed: 0, players });
+
+// Pairs each object in `to` with the same object in `from`, so that the
+// renderer's interpolation (between px/py/pa and x/y/a) runs from one to the
+// other.
+const between = (fromList, toList) => {
+    const previous = new Map(fromList.map((obj) => [obj.id, obj]));
+    return toList.map((obj) => {
+        const before = previous.get(obj.id) ?? obj;
+        return { ...obj, px: before.x, py: before.y, pa: before.a };
+    });
+};
+
+// Sets `view` to the field as the host had it INTERPOLATION_DELAY_MS before
+// the newest frame (as far as the local clock can tell) and returns the
+// fraction of the way from the older frame to the newer one to draw it at.
+// `view.events` gets the events of frames not shown before.
+export const applyFrames = (buffer, view, now) => {
+    const { frames } = buffer;
+    if (frames.length === 0) return 1;
+    const newest = frames[frames.length - 1];
+    const renderTime = newest.frame.time + (now - newest.receivedAt) - INTERPOLATION_DELAY_MS;
+
+    let fromIndex = frames.findLastIndex(({ frame }) => frame.time <= renderTime);
+    if (fromIndex === -1) fromIndex = 0;
+    const toIndex = Math.min(fromIndex + 1, frames.length - 1);
+    const from = frames[fromIndex].frame;
+    const to = frames[toIndex].frame;
+    const alpha = to.time > from.time ? Math.min(Math.max((renderTime - from.time) / (to.time - from.time), 0), 1) : 1;
+
+    view.events = frames.filter((entry) => !entry.shown && entry.frame.time <= to.time).flatMap((entry) => {
+        entry.shown = true;
+        return entry.frame.events;
+    });
+
+    Object.assign(view, {
+        time: from.time + (to.time - from.time) * alpha,
+        over: to.over,
+        score: to.score,
+        lives: to.lives,
+        wave: to.wave,
+        asteroids: between(from.asteroids, to.asteroids),
+        bullets: between(from.bullets, to.bullets),
+        saucers: between(from.saucers, to.saucers),
+        powerups: between(from.powerups, to.powerups),
+    });
+    to.ships.forEach((ship, i) => {
+        const before = from.ships[i];
+        Object.assign(view.ships[i], ship, {
+            px: before.x,
+            py: before.y,
+            pa: before.a,
+            effects: { ...ship.effects },
+            velocity: { x: 0, y: 0 },
+        });
+    });
+    return alpha;
+};
@@ -0,0 +1,145 @@
+import { createInputs } from '../game/engine.js';
+import { createFrameBuffer, encodeFrame, pushFrame } from './frames.js';
+import { publish, setRoomStatus, subscribe, watchRoom } from './rooms.js';
+
+// --- Multiplayer Links ---
+// Each player's end of a running room. The host runs the only simulation:
+// it steps both ships, taking the guest's ship's inputs from the guest's
+// latest message, and publishes frames. The guest publishes its inputs and
+// draws the frames it receives.
+//
+// Either side calls `onDisconnect(message)` once if the room is abandoned or
+// nothing has been heard from the other side for a while, and close() when
+// it leaves, which marks the room abandoned unless the game had finished.
+
+const FRAME_INTERVAL_MS = 100;
+const INPUT_INTERVAL_MS = 100;
+const INPUT_KEEPALIVE_MS = 1000; // inputs are resent this often even unchanged
+const TIMEOUT_MS = 6000;
+const MAX_WRITES_IN_FLIGHT = 3; // beyond which frames are skipped, not queued
+
+const createLinkBase = ({ db, appId, code, onDisconnect }) => {
+    let ended = false;
+    let lastHeard = performance.now();
+    const unsubscribers = [];
+
+    const end = (message) => {
+        if (ended) return;
+        ended = true;
+        onDisconnect(message);
+    };
+
+    unsubscribers.push(watchRoom(db, appId, code, (room) => {
+        if (!room || room.status === 'abandoned') end('Your partner left the game.');
+    }, () => end('Lost connection to the room.')));
+
+    return {
+        unsubscribers,
+        end,
+        heard: () => {
+            lastHeard = performance.now();
+        },
+        checkTimeout: (now) => {
+            if (now - lastHeard > TIMEOUT_MS) end('Lost connection to your partner.');
+        },
+        close: ({ finished = false } = {}) => {
+            unsubscribers.forEach((unsubscribe) => unsubscribe());
+            if (!ended || finished) {
+                setRoomStatus(db, appId, code, finished ? 'finished' : 'abandoned').catch((error) => {
+                    console.error("Failed to update room:", error);
+                });
+            }
+            ended = true;
+        },
+    };
+};
+
+export const createHostLink = ({ db, appId, code, onDisconnect }) => {
+    const base = createLinkBase({ db, appId, code, onDisconnect });
+    let guestInputs = createInputs();
+    let lastInputSeq = -1;
+    let hyperspacePending = false;
+    let frameSeq = 0;
+    let lastFrameAt = -Infinity;
+    let writesInFlight = 0;
+    let sentOver = false;
+    let events = [];
+
+    base.unsubscribers.push(subscribe(db, appId, code, 'inputs', (message) => {
+        if (message.seq <= lastInputSeq) return;
+        lastInputSeq = message.seq;
+        guestInputs = message.inputs;
+        // A jump is a press: it happens once per message that asks for it.
+        if (message.inputs.hyperspace) hyperspacePending = true;
+        base.heard();
+    }, () => base.end('Lost connection to the room.')));
+
+    return {
+        // The guest's ship's inputs for the next tick.
+        guestInputs: () => {
+            const inputs = { ...guestInputs, hyperspace: hyperspacePending };
+            hyperspacePending = false;
+            return inputs;
+        },
+
+        // Called after every step. Publishes a frame when one is due, and
+        // always the one that ends the game, once.
+        afterStep: (state, now) => {
+            events.push(...state.events);
+            base.checkTimeout(now);
+            const due = now - lastFrameAt >= FRAME_INTERVAL_MS && writesInFlight < MAX_WRITES_IN_FLIGHT;
+            const ending = state.over && !sentOver;
+            if (!due && !ending) return;
+            sentOver ||= state.over;
+            lastFrameAt = now;
+            writesInFlight += 1;
+            publish(db, appId, code, 'frames', frameSeq++, encodeFrame(state, events))
+                .catch((error) => console.error("Failed to publish frame:", error))
+                .finally(() => {
+                    writesInFlight -= 1;
+                });
+            events = [];
+        },
+
+        close: base.close,
+    };
+};
+
+export const createGuestLink = ({ db, appId, code, onDisconnect }) => {
+    const base = createLinkBase({ db, appId, code, onDisconnect });
+    const frames = createFrameBuffer();
+    let inputSeq = 0;
+    let lastSentAt = -Infinity;
+    let lastSent = '';
+    // Presses since the last message, so a tap between messages still counts.
+    let fired = false;
+    let jumped = false;
+
+    base.unsubscribers.push(subscribe(db, appId, code, 'frames', (frame) => {
+        if (pushFrame(frames, frame, performance.now())) base.heard();
+    }, () => base.end('Lost connection to the room.')));
+
+    return {
+        frames,
+
+        // Called every tick with the guest's own (quantised) inputs; sends
+        // them when they've changed, at most every INPUT_INTERVAL_MS.
+        sendInputs: (inputs, now) => {
+            base.checkTimeout(now);
+            fired ||= inputs.fire;
+            jumped ||= inputs.hyperspace;
+            const message = { ...inputs, fire: fired, hyperspace: jumped };
+            const key = JSON.stringify(message);
+            const sinceLast = now - lastSentAt;
+            if (sinceLast < INPUT_INTERVAL_MS || (key === lastSent && sinceLast < INPUT_KEEPALIVE_MS)) return;
+            lastSentAt = now;
+            lastSent = key;
+            fired = false;
+            jumped = false;
+            publish(db, appId, code, 'inputs', inputSeq++, { inputs: message })
+                .catch((error) => console.error("Failed to send inputs:", error));
+        },
+
+        close: base.close,
+    };
+};
@@ -0,0 +1,99 @@
+import {
+    collection, doc, limit, onSnapshot, orderBy, query, runTransaction, serverTimestamp, setDoc, updateDoc,
+} from 'firebase/firestore';
+
+// --- Multiplayer Rooms ---
+// A room is a document under public/data/rooms, keyed by its join code. The
+// host creates it 'waiting'; the guest's join sets it 'playing'; it ends
+// 'finished' (the game ended) or 'abandoned' (someone left or dropped).
+//
+// During a game the host simulates and publishes frames of the game state,
+// and the guest publishes its inputs. Both go into a fixed ring of slot
+// documents in the room's `frames` and `inputs` subcollections, read back as
+// "the one with the highest seq". Rotating through the slots keeps every
+// document well under Firestore's sustained write rate per document, and
+// keeps a room's size bounded however long the game runs.
+
+export const MULTIPLAYER_MODES = {
+    coop: {
+        label: 'CO-OP',
+        description: 'Shared lives, combined score.',
+        rules: { sharedLives: true, friendlyFire: false },
+    },
+    versus: {
+        label: 'VERSUS',
+        description: 'Separate lives and scores. Friendly fire is on.',
+        rules: { sharedLives: false, friendlyFire: true },
+    },
+};
+
+const CODE_LENGTH = 4;
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ'; // no I or O to misread
+const CODE_ATTEMPTS = 5;
+const SLOT_COUNT = 20;
+
+const roomsPath = (appId) => `artifacts/${appId}/public/data/rooms`;
+const roomRef = (db, appId, code) => doc(db, roomsPath(appId), code);
+
+export const normalizeRoomCode = (code) => code.trim().toUpperCase();
+
+const randomCode = () => Array.from(
+    { length: CODE_LENGTH },
+    () => CODE_ALPHABET[Math.floor(Math.random() * CODE_ALPHABET.length)],
+).join('');
+
+// Creates a room waiting for a guest and resolves to its code.
+export const createRoom = async (db, appId, { hostId, mode, seed }) => {
+    for (let attempt = 0; attempt < CODE_ATTEMPTS; attempt++) {
+        const code = randomCode();
+        const ref = roomRef(db, appId, code);
+        const created = await runTransaction(db, async (tx) => {
+            // Codes are never reused, so a room's streams only ever hold its
+            // own messages.
+            if ((await tx.get(ref)).exists()) return false;
+            tx.set(ref, {
+                code,
+                mode,
+                seed,
+                hostId,
+                guestId: null,
+                status: 'waiting',
+                createdAt: serverTimestamp(),
+            });
+            return true;
+        });
+        if (created) return code;
+    }
+    throw new Error('Could not find a free room code. Try again.');
+};
+
+// Joins a waiting room as its guest and resolves to the room. Throws with a
+// message for the player if that isn't possible.
+export const joinRoom = (db, appId, code, guestId) => runTransaction(db, async (tx) => {
+    const ref = roomRef(db, appId, code);
+    const snap = await tx.get(ref);
+    if (!snap.exists()) throw new Error(`No room ${code}.`);
+    const room = snap.data();
+    if (room.hostId === guestId) throw new Error("That's your own room.");
+    if (room.status !== 'waiting') throw new Error(`Room ${code} is no longer open.`);
+    tx.update(ref, { guestId, status: 'playing' });
+    return { ...room, guestId, status: 'playing' };
+});
+
+export const watchRoom = (db, appId, code, onChange, onError) =>
+    onSnapshot(roomRef(db, appId, code), (snap) => onChange(snap.exists() ? snap.data() : null), onError);
+
+export const setRoomStatus = (db, appId, code, status) => updateDoc(roomRef(db, appId, code), { status });
+
+// Writes `data` as message `seq` of a room's `frames` or `inputs` stream.
+export const publish = (db, appId, code, stream, seq, data) =>
+    setDoc(doc(db, `${roomsPath(appId)}/${code}/${stream}/${seq % SLOT_COUNT}`), { ...data, seq });
+
+// Calls `onMessage` with the newest message on a stream as it arrives.
+export const subscribe = (db, appId, code, stream, onMessage, onError) => onSnapshot(
+    query(collection(db, `${roomsPath(appId)}/${code}/${stream}`), orderBy('seq', 'desc'), limit(1)),
+    (snapshot) => {
+        if (!snapshot.empty) onMessage(snapshot.docs[0].data());
+    },
+    onError,
+);
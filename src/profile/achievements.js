@@ -0,0 +1,92 @@
+import { POWERUP_TYPES } from '../game/powerups.js';
+import { accuracy, addRunToProfile, totalAsteroids } from './stats.js';
+
+// --- Achievements ---
+// Checked every tick against the run so far and the profile as it would be
+// with the run added, so they unlock the moment they're earned. `test`
+// receives { run, lifetime, state }; `state` is the game in progress.
+
+export const ACHIEVEMENTS = [
+    {
+        id: 'firstRock',
+        label: 'FIRST ROCK',
+        description: 'Destroy an asteroid.',
+        test: ({ run }) => totalAsteroids(run) > 0,
+    },
+    {
+        id: 'saucerSniper',
+        label: 'SAUCER SNIPER',
+        description: 'Destroy a saucer.',
+        test: ({ run }) => run.saucersDestroyed > 0,
+    },
+    {
+        id: 'wave5',
+        label: 'HOLDING ON',
+        description: 'Reach wave 5.',
+        test: ({ state }) => state.wave >= 5,
+    },
+    {
+        id: 'wave10',
+        label: 'DEEP SPACE',
+        description: 'Reach wave 10.',
+        test: ({ state }) => state.wave >= 10,
+    },
+    {
+        id: 'score10k',
+        label: 'FIVE FIGURES',
+        description: 'Score 10,000 points in one game.',
+        test: ({ state }) => state.score >= 10000,
+    },
+    {
+        id: 'score50k',
+        label: 'HIGH ROLLER',
+        description: 'Score 50,000 points in one game.',
+        test: ({ state }) => state.score >= 50000,
+    },
+    {
+        id: 'flawless',
+        label: 'UNTOUCHABLE',
+        description: 'Clear a wave without losing a life.',
+        test: ({ run }) => run.flawlessWaves > 0,
+    },
+    {
+        id: 'survivor',
+        label: 'SURVIVOR',
+        description: 'Stay alive for two minutes.',
+        test: ({ run, state }) => run.longestLifeMs >= 120000
+            || (state.ship.status === 'alive' && state.time - run.lifeStartedAt >= 120000),
+    },
+    {
+        id: 'marksman',
+        label: 'MARKSMAN',
+        description: 'Finish a game with 50+ shots at 75% accuracy or better.',
+        test: ({ run, state }) => state.over && run.shotsFired >= 50 && accuracy(run) >= 0.75,
+    },
+    {
+        id: 'collector',
+        label: 'COLLECTOR',
+        description: 'Collect every kind of power-up.',
+        test: ({ lifetime }) => Object.keys(POWERUP_TYPES).every((kind) => lifetime.powerupsCollected[kind] > 0),
+    },
+    {
+        id: 'rockBreaker',
+        label: 'ROCK BREAKER',
+        description: 'Destroy 1,000 asteroids.',
+        test: ({ lifetime }) => totalAsteroids(lifetime) >= 1000,
+    },
+    {
+        id: 'veteran',
+        label: 'VETERAN',
+        description: 'Play 25 games.',
+        // The run in progress counts as played.
+        test: ({ lifetime }) => lifetime.gamesPlayed >= 25,
+    },
+];
+
+// Ids of the achievements earned that `profile` doesn't have yet.
+export const checkAchievements = (profile, run, state) => {
+    const pending = ACHIEVEMENTS.filter(({ id }) => !profile.achievements[id]);
+    if (pending.length === 0) return [];
+    const context = { run, lifetime: addRunToProfile(profile, run, state), state };
+    return pending.filter(({ test }) => test(context)).map(({ id }) => id);
+};
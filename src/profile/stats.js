@@ -0,0 +1,123 @@
+import { ASTEROID_TYPES } from '../game/engine.js';
+import { POWERUP_TYPES } from '../game/powerups.js';
+
+// --- Player Stats ---
+// Lifetime stats live in the player's profile. A run's stats are gathered
+// from the engine's events each tick and added to the profile when it ends.
+// Accuracy counts bullets: a bullet that hits anything (a piercing one may
+// hit several things) is one hit.
+
+const perAsteroidSize = () => Object.fromEntries(Object.keys(ASTEROID_TYPES).map((size) => [size, 0]));
+const perPowerup = () => Object.fromEntries(Object.keys(POWERUP_TYPES).map((kind) => [kind, 0]));
+
+export const createProfile = () => ({
+    name: '',
+    gamesPlayed: 0,
+    asteroidsDestroyed: perAsteroidSize(),
+    saucersDestroyed: 0,
+    shotsFired: 0,
+    shotsHit: 0,
+    powerupsCollected: perPowerup(),
+    longestLifeMs: 0,
+    highestWave: 0,
+    highestScore: 0,
+    // Achievement id -> when it was unlocked (ms since the epoch)
+    achievements: {},
+});
+
+export const createRunStats = () => ({
+    asteroidsDestroyed: perAsteroidSize(),
+    saucersDestroyed: 0,
+    shotsFired: 0,
+    shotsHit: 0,
+    powerupsCollected: perPowerup(),
+    longestLifeMs: 0,
+    lifeStartedAt: 0,
+    deathsThisWave: 0,
+    flawlessWaves: 0,
+    hitBullets: new Set(),
+});
+
+const countHit = (run, bulletId) => {
+    if (bulletId === null || run.hitBullets.has(bulletId)) return;
+    run.hitBullets.add(bulletId);
+    run.shotsHit += 1;
+};
+
+const endLife = (run, time) => {
+    run.longestLifeMs = Math.max(run.longestLifeMs, Math.round(time - run.lifeStartedAt));
+};
+
+// Adds this tick's events to the run.
+export const recordEvents = (run, state) => {
+    state.events.forEach((event) => {
+        switch (event.type) {
+            case 'shot':
+                run.shotsFired += event.bullets;
+                break;
+            case 'asteroidDestroyed':
+                countHit(run, event.bulletId);
+                if (event.byPlayer) run.asteroidsDestroyed[event.size] += 1;
+                break;
+            case 'saucerDestroyed':
+                countHit(run, event.bulletId);
+                if (event.byPlayer) run.saucersDestroyed += 1;
+                break;
+            case 'powerup':
+                run.powerupsCollected[event.kind] += 1;
+                break;
+            case 'shipDestroyed':
+                endLife(run, state.time);
+                run.deathsThisWave += 1;
+                break;
+            case 'shipRespawned':
+                run.lifeStartedAt = state.time;
+                break;
+            case 'waveStarted':
+                // Every wave after the first starts because the last was cleared.
+                if (event.wave > 1 && run.deathsThisWave === 0) run.flawlessWaves += 1;
+                run.deathsThisWave = 0;
+                break;
+        }
+    });
+};
+
+// Closes the life still in progress when a run ends without a death, e.g.
+// when the player quits.
+export const finishRun = (run, state) => {
+    if (state.ship.status === 'alive') endLife(run, state.time);
+};
+
+const addCounts = (a, b) => Object.fromEntries(Object.keys(a).map((key) => [key, a[key] + (b[key] ?? 0)]));
+
+// The profile with a run added. `state` is the run's game.
+export const addRunToProfile = (profile, run, state) => ({
+    ...profile,
+    gamesPlayed: profile.gamesPlayed + 1,
+    asteroidsDestroyed: addCounts(profile.asteroidsDestroyed, run.asteroidsDestroyed),
+    saucersDestroyed: profile.saucersDestroyed + run.saucersDestroyed,
+    shotsFired: profile.shotsFired + run.shotsFired,
+    shotsHit: profile.shotsHit + run.shotsHit,
+    powerupsCollected: addCounts(profile.powerupsCollected, run.powerupsCollected),
+    longestLifeMs: Math.max(profile.longestLifeMs, run.longestLifeMs),
+    highestWave: Math.max(profile.highestWave, state.wave),
+    highestScore: Math.max(profile.highestScore, state.score),
+});
+
+export const totalAsteroids = (stats) => Object.values(stats.asteroidsDestroyed).reduce((sum, n) => sum + n, 0);
+
+// Fraction of bullets that hit something, or null before any were fired.
+export const accuracy = (stats) => (stats.shotsFired > 0 ? stats.shotsHit / stats.shotsFired : null);
+
+// Fills in anything missing from a saved profile, e.g. stats added since.
+export const normalizeProfile = (saved) => {
+    const profile = createProfile();
+    if (!saved || typeof saved !== 'object') return profile;
+    return {
+        ...profile,
+        ...saved,
+        asteroidsDestroyed: { ...profile.asteroidsDestroyed, ...saved.asteroidsDestroyed },
+        powerupsCollected: { ...profile.powerupsCollected, ...saved.powerupsCollected },
+        achievements: { ...saved.achievements },
+    };
+};
@@ -0,0 +1,366 @@
+import { EXPLOSION_DURATION } from '../game/engine.js';
+import { HULL, asteroidOutline } from '../game/geometry.js';
+import { interpolate } from '../game/loop.js';
+import { POWERUP_TYPES, activeEffects } from '../game/powerups.js';
+import { THEMES, powerupColor, themeById } from './themes.js';
+import { applyViewport } from './viewport.js';
+
+// --- Renderer ---
+// Draws the field in the style of a vector arcade screen. Besides the game
+// state itself it keeps a few purely visual effects, started by the engine's
+// events: particle bursts, camera shake. Those run on simulation time, so they
+// freeze while the game is paused and never feed back into the game.
+//
+// The quality level picks which effects are drawn; low-end devices can turn
+// them all off. Colours come from the theme (see themes.js). With reduced
+// motion there's no shake or trails, the thrust flame holds still, and
+// things that would blink are outlined with dashes instead.
+//
+// Timed things about to run out (a power-up in the field, an effect on a
+// ship) are dashed whatever the motion setting, so that's never shown by
+// blinking or colour alone. A ship's active effect is marked by its sprite.
+
+const GHOST_ALPHA = 0.35;
+const GLOW_BLUR = 8; // in world units
+const EXPIRY_WARNING = 2000; // ms left when something starts to show it's running out
+const DASH = [4, 4];
+
+export const QUALITY_LEVELS = {
+    low: { label: 'LOW', particles: false, shake: false, glow: false, trails: false },
+    medium: { label: 'MEDIUM', particles: true, shake: true, glow: false, trails: false },
+    high: { label: 'HIGH', particles: true, shake: true, glow: true, trails: true },
+};
+
+// Particle bursts per kind of explosion, in the colour of what exploded.
+const BURSTS = {
+    large: { count: 16, speed: 120 },
+    medium: { count: 10, speed: 140 },
+    small: { count: 6, speed: 160 },
+    saucer: { count: 14, speed: 150 },
+    ship: { count: 24, speed: 100 },
+};
+const PARTICLE_MIN_LIFE = 400;
+const PARTICLE_MAX_LIFE = 900;
+const MAX_PARTICLES = 400;
+
+// Shake strengths in world units, fading out over SHAKE_DURATION.
+const SHAKES = { shipDestroyed: 8, large: 4, medium: 2, saucerDestroyed: 4, shieldHit: 3 };
+const SHAKE_DURATION = 400;
+const MAX_SHAKE = 10;
+
+export const createRenderer = (ctx) => {
+    let quality = QUALITY_LEVELS.high;
+    let theme = THEMES.standard;
+    let reducedMotion = false;
+    let particles = [];
+    let shakes = []; // { start, strength }
+
+    const burst = (x, y, { count, speed }, color, time) => {
+        for (let i = 0; i < count && particles.length < MAX_PARTICLES; i++) {
+            const angle = Math.random() * Math.PI * 2;
+            const v = speed * (0.3 + Math.random() * 0.7);
+            particles.push({
+                x,
+                y,
+                vx: Math.cos(angle) * v,
+                vy: Math.sin(angle) * v,
+                born: time,
+                life: PARTICLE_MIN_LIFE + Math.random() * (PARTICLE_MAX_LIFE - PARTICLE_MIN_LIFE),
+                color,
+            });
+        }
+    };
+
+    const shake = (strength, time) => {
+        if (strength) shakes.push({ start: time, strength });
+    };
+
+    // Sets the colour for the next stroke or fill, and for its glow.
+    const setColor = (color) => {
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.shadowColor = color;
+    };
+
+    // The hull is drawn nose-up; the caller rotates it into place.
+    const traceHull = (r) => {
+        ctx.beginPath();
+        HULL.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x * r, y * r) : ctx.lineTo(x * r, y * r)));
+        ctx.closePath();
+    };
+
+    // Flickers from tick to tick, but holds still while the game is paused.
+    const drawFlame = (r, time) => {
+        const flicker = reducedMotion ? 0.5 : Math.abs(Math.sin(time * 0.05) * Math.sin(time * 0.173));
+        ctx.beginPath();
+        ctx.moveTo(-r * 0.4, r);
+        ctx.lineTo(0, r * (1.6 + flicker * 0.6));
+        ctx.lineTo(r * 0.4, r);
+        setColor(theme.flame);
+        ctx.stroke();
+    };
+
+    // A power-up's sprite, centred on the current origin.
+    const drawSprite = (kind, scale) => {
+        ctx.beginPath();
+        POWERUP_TYPES[kind].sprite.forEach(([x1, y1, x2, y2]) => {
+            ctx.moveTo(x1 * scale, y1 * scale);
+            ctx.lineTo(x2 * scale, y2 * scale);
+        });
+        ctx.stroke();
+    };
+
+    const strokeDashedIf = (dashed) => {
+        ctx.setLineDash(dashed ? DASH : []);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    };
+
+    const drawShip = (game, ship, { x, y }, angle) => {
+        // Blink while invulnerable after a respawn
+        const invulnerable = game.time < ship.invulnerableUntil;
+        if (invulnerable && !reducedMotion && Math.floor(game.time / 100) % 2 === 0) return;
+
+        ctx.save();
+        ctx.translate(x, y);
+        // The hull is drawn nose-up; the engine measures angles
+        // counter-clockwise from the positive x axis.
+        ctx.rotate(Math.PI / 2 - angle);
+        if (ship.thrust > 0) drawFlame(ship.r, game.time);
+        traceHull(ship.r);
+        const effects = activeEffects(game, ship);
+        const effect = effects.find(({ kind }) => kind !== 'shield');
+        const shield = effects.find(({ kind }) => kind === 'shield');
+        setColor(effect ? powerupColor(theme, effect.kind) : theme.ships[ship.index]);
+        strokeDashedIf(invulnerable && reducedMotion);
+        if (effect) {
+            ctx.save();
+            ctx.translate(0, ship.r * 0.3);
+            if (effect.remainingMs < EXPIRY_WARNING) ctx.setLineDash([2, 2]);
+            drawSprite(effect.kind, ship.r * 0.35);
+            ctx.restore();
+        }
+        if (shield) {
+            ctx.beginPath();
+            ctx.arc(0, 0, ship.r * 1.6, 0, Math.PI * 2);
+            setColor(powerupColor(theme, 'shield'));
+            strokeDashedIf(shield.remainingMs < EXPIRY_WARNING);
+        }
+        ctx.restore();
+    };
+
+    // The personal best's ship: a faint outline, without its effects.
+    const drawGhost = (ship, { x, y }, angle) => {
+        ctx.save();
+        ctx.globalAlpha = GHOST_ALPHA;
+        ctx.translate(x, y);
+        ctx.rotate(Math.PI / 2 - angle);
+        traceHull(ship.r);
+        setColor(theme.ghost);
+        ctx.stroke();
+        ctx.restore();
+    };
+
+    // The hull's three edges drift apart and fade out.
+    const drawShipWreck = (game, ship) => {
+        const t = (game.time - ship.deathTime) / EXPLOSION_DURATION;
+        if (t >= 1) return;
+
+        const points = HULL.map(([x, y]) => [x * ship.r, y * ship.r]);
+        ctx.save();
+        ctx.translate(ship.x, ship.y);
+        ctx.rotate(Math.PI / 2 - ship.a);
+        ctx.globalAlpha = 1 - t;
+        setColor(theme.ships[ship.index]);
+        points.forEach(([x1, y1], i) => {
+            const [x2, y2] = points[(i + 1) % points.length];
+            const mx = (x1 + x2) / 2;
+            const my = (y1 + y2) / 2;
+            const drift = t * 3;
+            ctx.save();
+            ctx.translate(mx * drift, my * drift);
+            ctx.beginPath();
+            ctx.moveTo(x1, y1);
+            ctx.lineTo(x2, y2);
+            ctx.stroke();
+            ctx.restore();
+        });
+        ctx.restore();
+    };
+
+    const drawAsteroid = (asteroid, pose) => {
+        ctx.beginPath();
+        asteroidOutline(asteroid, pose).forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+        ctx.closePath();
+        setColor(theme.asteroid);
+        ctx.stroke();
+    };
+
+    const drawSaucer = (saucer, { x, y }) => {
+        const r = saucer.r;
+        ctx.save();
+        ctx.translate(x, y);
+        setColor(theme.saucer);
+        ctx.beginPath();
+        // Hull
+        ctx.moveTo(-r, 0);
+        ctx.lineTo(-r * 0.5, -r * 0.35);
+        ctx.lineTo(r * 0.5, -r * 0.35);
+        ctx.lineTo(r, 0);
+        ctx.lineTo(r * 0.5, r * 0.35);
+        ctx.lineTo(-r * 0.5, r * 0.35);
+        ctx.closePath();
+        ctx.moveTo(-r, 0);
+        ctx.lineTo(r, 0);
+        // Dome
+        ctx.moveTo(-r * 0.35, -r * 0.35);
+        ctx.lineTo(-r * 0.2, -r * 0.7);
+        ctx.lineTo(r * 0.2, -r * 0.7);
+        ctx.lineTo(r * 0.35, -r * 0.35);
+        ctx.stroke();
+        ctx.restore();
+    };
+
+    const drawBullet = (bullet, { x, y }) => {
+        ctx.beginPath();
+        ctx.arc(x, y, bullet.r, 0, Math.PI * 2);
+        setColor(bullet.owner === 'saucer' ? theme.saucer : theme.bullet);
+        ctx.fill();
+    };
+
+    // For its last couple of seconds a power-up gets a dashed ring and,
+    // motion permitting, blinks.
+    const drawPowerUp = (game, powerup, { x, y }) => {
+        const expiring = powerup.expiresAt - game.time < EXPIRY_WARNING;
+        if (expiring && !reducedMotion && Math.floor((powerup.expiresAt - game.time) / 150) % 2 === 0) return;
+
+        const color = powerupColor(theme, powerup.kind);
+        ctx.beginPath();
+        ctx.arc(x, y, powerup.r, 0, Math.PI * 2);
+        setColor(color);
+        ctx.fill();
+        ctx.strokeStyle = '#fff';
+        ctx.stroke();
+        if (expiring) {
+            ctx.beginPath();
+            ctx.arc(x, y, powerup.r * 1.4, 0, Math.PI * 2);
+            ctx.strokeStyle = color;
+            strokeDashedIf(true);
+            ctx.strokeStyle = '#fff';
+        }
+        ctx.save();
+        ctx.translate(x, y);
+        // Dark on the light high-contrast fill
+        if (theme === THEMES.highContrast) ctx.strokeStyle = theme.background;
+        drawSprite(powerup.kind, powerup.r * 0.5);
+        ctx.restore();
+    };
+
+    // Each particle is a short streak along its path, fading as it goes.
+    const drawParticles = (time) => {
+        particles = particles.filter((particle) => time - particle.born < particle.life);
+        particles.forEach((particle) => {
+            const age = (time - particle.born) / 1000;
+            const x = particle.x + particle.vx * age;
+            const y = particle.y + particle.vy * age;
+            ctx.globalAlpha = 1 - (time - particle.born) / particle.life;
+            setColor(particle.color);
+            ctx.beginPath();
+            ctx.moveTo(x, y);
+            ctx.lineTo(x - particle.vx * 0.03, y - particle.vy * 0.03);
+            ctx.stroke();
+        });
+        ctx.globalAlpha = 1;
+    };
+
+    const shakeOffset = (time) => {
+        shakes = shakes.filter(({ start }) => time - start < SHAKE_DURATION);
+        const strength = Math.min(
+            shakes.reduce((sum, { start, strength: s }) => sum + s * (1 - (time - start) / SHAKE_DURATION), 0),
+            MAX_SHAKE,
+        );
+        return { x: strength * Math.sin(time * 0.07), y: strength * Math.cos(time * 0.053) };
+    };
+
+    return {
+        setQuality: (level) => {
+            quality = QUALITY_LEVELS[level] ?? QUALITY_LEVELS.high;
+            if (!quality.particles) particles = [];
+            if (!quality.shake) shakes = [];
+        },
+
+        setTheme: (id) => {
+            theme = themeById(id);
+        },
+
+        setReducedMotion: (reduced) => {
+            reducedMotion = reduced;
+            if (reducedMotion) shakes = [];
+        },
+
+        // Starts the effects for the engine events of the game's last tick.
+        addEvents: (game) => {
+            const shaking = quality.shake && !reducedMotion;
+            game.events.forEach((event) => {
+                switch (event.type) {
+                    case 'asteroidDestroyed':
+                        if (quality.particles) burst(event.x, event.y, BURSTS[event.size], theme.asteroid, game.time);
+                        if (shaking) shake(SHAKES[event.size], game.time);
+                        break;
+                    case 'saucerDestroyed':
+                        if (quality.particles) burst(event.x, event.y, BURSTS.saucer, theme.saucer, game.time);
+                        if (shaking) shake(SHAKES.saucerDestroyed, game.time);
+                        break;
+                    case 'shipDestroyed':
+                        if (quality.particles) burst(event.x, event.y, BURSTS.ship, theme.ships[event.ship], game.time);
+                        if (shaking) shake(SHAKES.shipDestroyed, game.time);
+                        break;
+                    case 'shieldHit':
+                        if (shaking) shake(SHAKES.shieldHit, game.time);
+                        break;
+                }
+            });
+        },
+
+        // `alpha` is how far between the last two ticks to draw the field.
+        // `ghost`, if given, is a game whose ship is drawn as a ghost.
+        draw: (game, alpha, viewport, { ghost = null } = {}) => {
+            const at = (obj) => ({
+                ...interpolate(obj, alpha, game.width, game.height),
+                a: obj.pa + (obj.a - obj.pa) * alpha,
+            });
+
+            applyViewport(ctx, viewport);
+            ctx.fillStyle = quality.trails && !reducedMotion ? theme.trailFade : theme.background;
+            ctx.fillRect(0, 0, game.width, game.height);
+
+            ctx.save();
+            if (shakes.length > 0) {
+                const offset = shakeOffset(game.time);
+                ctx.translate(offset.x, offset.y);
+            }
+            ctx.lineWidth = theme.lineWidth;
+            // shadowBlur is in device pixels, whatever the transform.
+            ctx.shadowBlur = quality.glow ? GLOW_BLUR * viewport.scale : 0;
+
+            game.asteroids.forEach((asteroid) => drawAsteroid(asteroid, at(asteroid)));
+            game.powerups.forEach((powerup) => drawPowerUp(game, powerup, at(powerup)));
+            game.saucers.forEach((saucer) => drawSaucer(saucer, at(saucer)));
+            game.ships.forEach((ship) => {
+                if (ship.status === 'alive') {
+                    const pose = at(ship);
+                    drawShip(game, ship, pose, pose.a);
+                } else if (ship.status === 'dead') {
+                    drawShipWreck(game, ship);
+                }
+            });
+            if (ghost?.ship.status === 'alive') {
+                const { ship } = ghost;
+                drawGhost(ship, interpolate(ship, alpha, ghost.width, ghost.height), ship.pa + (ship.a - ship.pa) * alpha);
+            }
+            game.bullets.forEach((bullet) => drawBullet(bullet, at(bullet)));
+            if (quality.particles) drawParticles(game.time);
+            ctx.restore();
+        },
+    };
+};
@@ -0,0 +1,62 @@
+import { POWERUP_TYPES } from '../game/powerups.js';
+
+// --- Colour Themes ---
+// The colours the field is drawn in. The colour-blind safe theme is built
+// from the Okabe-Ito palette, which stays distinguishable with every common
+// kind of colour blindness; the high-contrast one draws everything bright on
+// black with heavier lines. Power-ups take their registry colour unless the
+// theme overrides it; every kind also has its own sprite, so none is told
+// apart by colour alone.
+
+export const THEMES = {
+    standard: {
+        label: 'STANDARD',
+        ships: ['#00ff00', '#00ffff'],
+        asteroid: '#ffff00',
+        saucer: '#ff4444',
+        bullet: '#ff00ff',
+        flame: '#ff9900',
+        ghost: '#ffffff',
+        background: '#0d0d1a',
+        trailFade: 'rgba(13, 13, 26, 0.4)', // the background, drawn over the last frame
+        lineWidth: 2,
+        powerups: {},
+    },
+    colorBlind: {
+        label: 'COLOUR-BLIND SAFE',
+        ships: ['#56b4e9', '#e69f00'],
+        asteroid: '#f0e442',
+        saucer: '#d55e00',
+        bullet: '#ffffff',
+        flame: '#e69f00',
+        ghost: '#ffffff',
+        background: '#0d0d1a',
+        trailFade: 'rgba(13, 13, 26, 0.4)',
+        lineWidth: 2,
+        powerups: {
+            rapidFire: '#cc79a7',
+            shield: '#56b4e9',
+            spreadShot: '#e69f00',
+            piercing: '#d55e00',
+            smartBomb: '#ffffff',
+            extraLife: '#009e73',
+        },
+    },
+    highContrast: {
+        label: 'HIGH CONTRAST',
+        ships: ['#ffffff', '#ffff00'],
+        asteroid: '#ffffff',
+        saucer: '#ff3333',
+        bullet: '#ffff00',
+        flame: '#ffff00',
+        ghost: '#aaaaaa',
+        background: '#000000',
+        trailFade: 'rgba(0, 0, 0, 0.4)',
+        lineWidth: 3,
+        powerups: Object.fromEntries(Object.keys(POWERUP_TYPES).map((kind) => [kind, '#ffff00'])),
+    },
+};
+
+export const themeById = (id) => THEMES[id] ?? THEMES.standard;
+
+export const powerupColor = (theme, kind) => theme.powerups[kind] ?? POWERUP_TYPES[kind].color;
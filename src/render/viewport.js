@@ -0,0 +1,39 @@
+import { WORLD_HEIGHT, WORLD_WIDTH } from '../game/engine.js';
+
+// --- Viewport ---
+// Fits the fixed-size world onto the screen. The canvas keeps the world's
+// aspect ratio at the largest size the space allows, leaving bars on the
+// other sides, and its backing store is in device pixels so that lines stay
+// sharp on HiDPI screens. Drawing is done in world units; see applyViewport().
+
+// Outside fullscreen the field is never drawn bigger than the world.
+const WINDOWED_MAX_SCALE = 1;
+
+// Sizes `canvas` to fit in `maxWidth` x `maxHeight` CSS pixels and returns
+// the viewport to draw it with.
+export const fitViewport = (canvas, maxWidth, maxHeight, { fullscreen = false } = {}) => {
+    const fit = Math.min(maxWidth / WORLD_WIDTH, maxHeight / WORLD_HEIGHT);
+    const scale = Math.max(fullscreen ? fit : Math.min(fit, WINDOWED_MAX_SCALE), 0.1);
+    const pixelRatio = window.devicePixelRatio || 1;
+    const cssWidth = Math.round(WORLD_WIDTH * scale);
+    const cssHeight = Math.round(WORLD_HEIGHT * scale);
+    canvas.style.width = `${cssWidth}px`;
+    canvas.style.height = `${cssHeight}px`;
+    canvas.width = Math.round(cssWidth * pixelRatio);
+    canvas.height = Math.round(cssHeight * pixelRatio);
+    return { scale: canvas.width / WORLD_WIDTH };
+};
+
+// Draws in world units from here on.
+export const applyViewport = (ctx, { scale }) => {
+    ctx.setTransform(scale, 0, 0, scale, 0, 0);
+};
+
+// Where a point on the screen is in the world.
+export const clientToWorld = (canvas, clientX, clientY) => {
+    const rect = canvas.getBoundingClientRect();
+    return {
+        x: (clientX - rect.left) * (WORLD_WIDTH / rect.width),
+        y: (clientY - rect.top) * (WORLD_HEIGHT / rect.height),
+    };
+};
@@ -0,0 +1,46 @@
+// --- Screens ---
+// The app is always on one of these screens, and only moves between them by
+// the events listed for the screen it's on. App sends every change of
+// screen through transition(). Events a screen doesn't list are ignored, so
+// that, say, losing focus can always send 'pause' and only pauses a game in
+// play.
+//
+// 'play' starts a session: a new game, a multiplayer match or a replay.
+
+export const SCREENS = {
+    start: {
+        chooseMode: 'modeSelect',
+        openLobby: 'lobby',
+        openLeaderboard: 'leaderboard',
+        openSettings: 'settings',
+        openProfile: 'profile',
+    },
+    modeSelect: { play: 'playing', back: 'start' },
+    settings: { back: 'start' },
+    profile: { back: 'start' },
+    lobby: { play: 'playing', back: 'start' },
+    playing: {
+        pause: 'paused',
+        togglePause: 'paused',
+        gameOver: 'gameOver',
+        matchOver: 'lobby',
+        replayOver: 'leaderboard',
+    },
+    // A multiplayer match carries on behind the menu, so it can end here too.
+    paused: {
+        resume: 'playing',
+        togglePause: 'playing',
+        play: 'playing',
+        matchOver: 'lobby',
+        quit: 'start',
+        leaveMatch: 'lobby',
+        stopWatching: 'leaderboard',
+    },
+    gameOver: { saved: 'leaderboard', openLeaderboard: 'leaderboard', play: 'playing', back: 'start' },
+    leaderboard: { play: 'playing', back: 'start' },
+};
+
+export const INITIAL_SCREEN = 'start';
+
+// The screen `event` leads to from `screen`: a reducer for useReducer().
+export const transition = (screen, event) => (Object.hasOwn(SCREENS[screen], event) ? SCREENS[screen][event] : screen);
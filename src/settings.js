@@ -0,0 +1,44 @@
+import { ACTIONS, DEFAULT_KEY_BINDINGS } from './input/bindings.js';
+
+// --- Player Settings ---
+// Persisted to localStorage as one JSON document. Anything missing or broken
+// in what was saved falls back to the defaults.
+
+const STORAGE_KEY = 'asteroid-shooter.settings';
+
+export const DEFAULT_SETTINGS = {
+    keyBindings: DEFAULT_KEY_BINDINGS,
+    ghost: true, // race the personal best's ghost in single player
+    quality: 'high', // one of render/renderer.js's QUALITY_LEVELS
+    theme: 'standard', // one of render/themes.js's THEMES
+    reducedMotion: 'system', // 'on', 'off' or 'system' to follow prefers-reduced-motion
+    gameSpeed: 1, // 0.5 to 1; runs below full speed aren't ranked
+    // Volumes from 0 to 1; see audio/sound.js.
+    audio: { master: 0.8, sfx: 1, music: 0.6, muted: false },
+};
+
+export const loadSettings = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? {};
+        const keyBindings = { ...DEFAULT_KEY_BINDINGS };
+        ACTIONS.forEach(({ id }) => {
+            if (Array.isArray(saved.keyBindings?.[id])) keyBindings[id] = saved.keyBindings[id];
+        });
+        const audio = { ...DEFAULT_SETTINGS.audio };
+        Object.keys(audio).forEach((key) => {
+            if (typeof saved.audio?.[key] === typeof audio[key]) audio[key] = saved.audio[key];
+        });
+        return { ...DEFAULT_SETTINGS, ...saved, keyBindings, audio };
+    } catch (error) {
+        console.error("Failed to load settings:", error);
+        return DEFAULT_SETTINGS;
+    }
+};
+
+export const saveSettings = (settings) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.error("Failed to save settings:", error);
+    }
+};
@@ -0,0 +1,20 @@
+// --- Leaderboard Periods ---
+// Every high score is stamped with the UTC day and ISO week it was set in, so
+// the daily and weekly boards are plain equality filters that Firestore can
+// index alongside the score. Shared by the client and the Cloud Functions.
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// '2024-03-09'
+export const dayKey = (date) =>
+    `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+
+// '2024-W10'. ISO weeks start on Monday and belong to the year their
+// Thursday falls in.
+export const weekKey = (date) => {
+    const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    thursday.setUTCDate(thursday.getUTCDate() + 3 - ((thursday.getUTCDay() + 6) % 7));
+    const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+    const week = Math.ceil(((thursday - yearStart) / 86400000 + 1) / 7);
+    return `${thursday.getUTCFullYear()}-W${pad(week)}`;
+};
@@ -0,0 +1,24 @@
+// --- Daily Challenge Attempts ---
+// Each player gets one ranked attempt at a day's challenge; it's used up the
+// moment the run starts, so quitting and retrying doesn't get another. This
+// device remembers the last day it made one. submitScore separately refuses
+// a second score for the same day, whichever device it comes from.
+
+const ATTEMPT_KEY = 'asteroid-shooter.dailyAttempt';
+
+export const hasAttemptedDaily = (day) => {
+    try {
+        return localStorage.getItem(ATTEMPT_KEY) === day;
+    } catch (error) {
+        console.error("Failed to load daily challenge attempt:", error);
+        return false;
+    }
+};
+
+export const recordDailyAttempt = (day) => {
+    try {
+        localStorage.setItem(ATTEMPT_KEY, day);
+    } catch (error) {
+        console.error("Failed to store daily challenge attempt:", error);
+    }
+};
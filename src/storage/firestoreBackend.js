@@ -0,0 +1,94 @@
+import { collection, doc, getCountFromServer, getDoc, getDocs, limit, orderBy, query, setDoc, startAfter, where } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { GAME_MODES } from '../game/modes.js';
+import { NEARBY_COUNT, PAGE_SIZE, boardById } from './leaderboard.js';
+
+// --- Firestore Backend ---
+// The shared online leaderboards, one collection per ranked game mode. Scores
+// are written only by the submitScore Cloud Function, which replays the run
+// to check it; reads are direct queries, backed by the composite indexes in
+// firestore.indexes.json.
+// Player profiles are the players' own `users/${userId}` documents. Each
+// score's replay is kept by submitScore under the score's id in `replays`.
+
+const toEntry = (snap) => ({ id: snap.id, ...snap.data() });
+
+export const createFirestoreBackend = ({ db, functions, appId }) => {
+    const highScores = (mode) => collection(db, `artifacts/${appId}/public/data/${GAME_MODES[mode].leaderboard}`);
+
+    // Query constraints selecting the board's current period.
+    const periodFilter = (board, now) => (board.field ? [where(board.field, '==', board.key(now))] : []);
+
+    const fetchReplay = async (scoreId) => {
+        const snap = await getDoc(doc(db, `artifacts/${appId}/public/data/replays/${scoreId}`));
+        return snap.exists() ? snap.data().replay : null;
+    };
+
+    return {
+        kind: 'firestore',
+
+        // Resolves to { id, name, score } once the score is on the board.
+        // Rejects with the function's HttpsError otherwise.
+        submitScore: async ({ mode, name, score, replay }) => {
+            const submitScore = httpsCallable(functions, 'submitScore');
+            const result = await submitScore({ appId, mode, name, score, replay });
+            return result.data;
+        },
+
+        loadProfile: async (userId) => {
+            const snap = await getDoc(doc(db, `artifacts/${appId}/users/${userId}`));
+            return snap.exists() ? snap.data() : null;
+        },
+
+        saveProfile: (userId, profile) => setDoc(doc(db, `artifacts/${appId}/users/${userId}`), profile),
+
+        fetchPage: async (mode, boardId, { cursor = null, now = new Date() } = {}) => {
+            const board = boardById(boardId);
+            const snapshot = await getDocs(query(
+                highScores(mode),
+                ...periodFilter(board, now),
+                orderBy('score', 'desc'),
+                ...(cursor ? [startAfter(cursor)] : []),
+                limit(PAGE_SIZE),
+            ));
+            const docs = snapshot.docs;
+            return {
+                entries: docs.map(toEntry),
+                cursor: docs.length === PAGE_SIZE ? docs[docs.length - 1] : null,
+            };
+        },
+
+        fetchReplay,
+
+        fetchPersonalBestReplay: async (mode, userId) => {
+            const best = await getDoc(doc(db, `artifacts/${appId}/users/${userId}/personalHighScores/${GAME_MODES[mode].personalBest}`));
+            if (!best.exists()) return null;
+            const { score, scoreId } = best.data();
+            const replay = await fetchReplay(scoreId);
+            return replay ? { score, replay } : null;
+        },
+
+        fetchPlayerStanding: async (mode, boardId, userId, { now = new Date() } = {}) => {
+            const scores = highScores(mode);
+            const period = periodFilter(boardById(boardId), now);
+
+            const best = await getDocs(query(scores, where('userId', '==', userId), ...period, orderBy('score', 'desc'), limit(1)));
+            if (best.empty) return null;
+            const bestDoc = best.docs[0];
+            const entry = toEntry(bestDoc);
+
+            const [higher, above, below] = await Promise.all([
+                getCountFromServer(query(scores, ...period, where('score', '>', entry.score))),
+                getDocs(query(scores, ...period, orderBy('score', 'asc'), startAfter(bestDoc), limit(NEARBY_COUNT))),
+                getDocs(query(scores, ...period, orderBy('score', 'desc'), startAfter(bestDoc), limit(NEARBY_COUNT))),
+            ]);
+
+            return {
+                rank: higher.data().count + 1,
+                entry,
+                above: above.docs.map(toEntry).reverse(),
+                below: below.docs.map(toEntry),
+            };
+        },
+    };
+};
@@ -0,0 +1,38 @@
+import { GAME_MODES } from '../game/modes.js';
+import { dayKey, weekKey } from '../shared/periods.js';
+
+// --- Leaderboards ---
+// Each ranked game mode (see modes.js) has its own high scores. Every board
+// is a mode's high scores ordered by score, optionally limited to the current
+// UTC day or ISO week (each score is stamped with both). The storage
+// backends implement the queries:
+//
+//   fetchPage(mode, boardId, { cursor, now }) -> { entries, cursor }
+//     One page of a board, best first. Pass the returned `cursor` back in to
+//     get the next page; it is null once the board has run out.
+//
+//   fetchPlayerStanding(mode, boardId, userId, { now }) -> { rank, entry, above, below } | null
+//     The player's best entry on a board, its rank and the entries just above
+//     and below it, or null if they haven't scored in the period. The rank
+//     counts the scores strictly higher, so tied players share a rank.
+//
+//   fetchReplay(scoreId) -> replay | null
+//     The encoded replay of a score on the boards, if it was kept.
+//
+//   fetchPersonalBestReplay(mode, userId) -> { score, replay } | null
+//     The player's best score in a mode with its replay, for racing as a
+//     ghost.
+
+export const PAGE_SIZE = 10;
+export const NEARBY_COUNT = 2; // entries shown either side of the player's own
+
+export const BOARDS = [
+    { id: 'daily', label: 'TODAY', field: 'day', key: dayKey },
+    { id: 'weekly', label: 'THIS WEEK', field: 'week', key: weekKey },
+    { id: 'allTime', label: 'ALL TIME', field: null, key: null },
+];
+
+export const boardById = (boardId) => BOARDS.find((board) => board.id === boardId);
+
+// The boards a mode's scores are shown on.
+export const boardsFor = (mode) => BOARDS.filter((board) => GAME_MODES[mode].boards.includes(board.id));
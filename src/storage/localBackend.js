@@ -0,0 +1,164 @@
+import { nanoid } from 'nanoid';
+import { DEFAULT_MODE } from '../game/modes.js';
+import { dayKey, weekKey } from '../shared/periods.js';
+import { NEARBY_COUNT, PAGE_SIZE, boardById } from './leaderboard.js';
+
+// --- Local Backend ---
+// This device's own scores, kept in localStorage so that play without
+// Firebase (or while offline) still has a leaderboard and a personal best.
+// Every score is recorded here, whether or not it later reaches Firestore.
+// Replays are kept for the best few only, as they take far more room.
+// Scores saved before there were game modes are classic ones.
+
+const PLAYER_KEY = 'asteroid-shooter.player';
+const SCORES_KEY = 'asteroid-shooter.scores';
+const REPLAYS_KEY = 'asteroid-shooter.replays';
+const MAX_SCORES = 100; // per mode
+const MAX_REPLAYS = 10; // per mode
+
+let playerId = null;
+
+// A random id for this browser, kept across loads so that local scores stay
+// attributed to the same player before (or without) signing in.
+export const localPlayerId = () => {
+    if (playerId) return playerId;
+    try {
+        playerId = localStorage.getItem(PLAYER_KEY);
+        if (!playerId) {
+            playerId = nanoid();
+            localStorage.setItem(PLAYER_KEY, playerId);
+        }
+    } catch (error) {
+        console.error("Failed to store player id:", error);
+        playerId ??= nanoid();
+    }
+    return playerId;
+};
+
+const loadScores = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SCORES_KEY));
+        return Array.isArray(saved) ? saved : [];
+    } catch (error) {
+        console.error("Failed to load local scores:", error);
+        return [];
+    }
+};
+
+// Score id -> encoded replay.
+const loadReplays = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(REPLAYS_KEY));
+        return saved && typeof saved === 'object' ? saved : {};
+    } catch (error) {
+        console.error("Failed to load local replays:", error);
+        return {};
+    }
+};
+
+// Best first; ties go to whoever got there first.
+const byScore = (a, b) => b.score - a.score || a.timestamp - b.timestamp;
+
+const modeOf = (entry) => entry.mode ?? DEFAULT_MODE;
+
+export const createLocalBackend = () => {
+    let scores = loadScores().sort(byScore);
+    let replays = loadReplays();
+
+    const inMode = (mode) => scores.filter((entry) => modeOf(entry) === mode);
+
+    // Throws if the browser won't store them (e.g. the quota is full).
+    const persist = () => localStorage.setItem(SCORES_KEY, JSON.stringify(scores));
+
+    // Drops the replays of scores no longer among the best of their mode. A
+    // replay that can't be stored is only lost, not the score.
+    const persistReplays = () => {
+        const modes = new Set(scores.map(modeOf));
+        const kept = new Set([...modes].flatMap((mode) => inMode(mode).slice(0, MAX_REPLAYS).map((entry) => entry.id)));
+        replays = Object.fromEntries(Object.entries(replays).filter(([id]) => kept.has(id)));
+        try {
+            localStorage.setItem(REPLAYS_KEY, JSON.stringify(replays));
+        } catch (error) {
+            console.error("Failed to store local replays:", error);
+        }
+    };
+
+    const onBoard = (mode, boardId, now) => {
+        const board = boardById(boardId);
+        if (!board.field) return inMode(mode);
+        const key = board.key(now);
+        return inMode(mode).filter((entry) => entry[board.field] === key);
+    };
+
+    return {
+        kind: 'local',
+
+        // Records a score, and its replay if it has one, and returns its entry.
+        addScore: ({ mode, userId, name, score, wave, replay = null, now = new Date() }) => {
+            const entry = {
+                id: nanoid(),
+                mode,
+                userId,
+                name,
+                score,
+                wave,
+                day: dayKey(now),
+                week: weekKey(now),
+                timestamp: now.getTime(),
+                synced: false,
+            };
+            scores = [...scores, entry].sort(byScore);
+            const dropped = new Set(inMode(mode).slice(MAX_SCORES).map((other) => other.id));
+            scores = scores.filter((other) => !dropped.has(other.id));
+            persist();
+            if (replay) replays[entry.id] = replay;
+            persistReplays();
+            return entry;
+        },
+
+        markSynced: (id) => {
+            scores = scores.map((entry) => (entry.id === id ? { ...entry, synced: true } : entry));
+            persist();
+        },
+
+        // A score that won't reach the shared leaderboard stays on this
+        // device's, still unsynced, marked as not ranked.
+        markUnranked: (id) => {
+            scores = scores.map((entry) => (entry.id === id ? { ...entry, unranked: true } : entry));
+            persist();
+        },
+
+        personalBest: (mode) => inMode(mode)[0]?.score ?? 0,
+
+        fetchPage: async (mode, boardId, { cursor = 0, now = new Date() } = {}) => {
+            const board = onBoard(mode, boardId, now);
+            const end = cursor + PAGE_SIZE;
+            return {
+                entries: board.slice(cursor, end),
+                cursor: end < board.length ? end : null,
+            };
+        },
+
+        fetchReplay: async (scoreId) => replays[scoreId] ?? null,
+
+        // Every score here is this device's player's, whatever id it was
+        // saved under.
+        fetchPersonalBestReplay: async (mode) => {
+            const [best] = inMode(mode);
+            return best && replays[best.id] ? { score: best.score, replay: replays[best.id] } : null;
+        },
+
+        fetchPlayerStanding: async (mode, boardId, userId, { now = new Date() } = {}) => {
+            const board = onBoard(mode, boardId, now);
+            const index = board.findIndex((entry) => entry.userId === userId);
+            if (index === -1) return null;
+            const entry = board[index];
+            return {
+                rank: board.filter((other) => other.score > entry.score).length + 1,
+                entry,
+                above: board.slice(Math.max(0, index - NEARBY_COUNT), index),
+                below: board.slice(index + 1, index + 1 + NEARBY_COUNT),
+            };
+        },
+    };
+};
@@ -0,0 +1,116 @@
+import { normalizeProfile } from '../profile/stats.js';
+
+// --- Profile Store ---
+// The player's profile is kept in localStorage and, once signed in, mirrored
+// to their profile document in Firestore. Stats only ever grow, so when a
+// signed-in player's saved profile meets this device's, each stat takes the
+// larger of the two and achievements are combined; the merged profile is
+// written back to both. Firestore is only written once changes have stopped
+// for SAVE_DELAY_MS, so typing a name doesn't save it on every keystroke.
+
+const STORAGE_KEY = 'asteroid-shooter.profile';
+const SAVE_DELAY_MS = 1000;
+
+const loadLocal = () => {
+    try {
+        return normalizeProfile(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+    } catch (error) {
+        console.error("Failed to load profile:", error);
+        return normalizeProfile(null);
+    }
+};
+
+const maxCounts = (a, b) => Object.fromEntries(
+    [...new Set([...Object.keys(a), ...Object.keys(b)])].map((key) => [key, Math.max(a[key] ?? 0, b[key] ?? 0)]),
+);
+
+// Counters take the larger of the two rather than the sum, since each side
+// already holds whatever the two had in common when they last met. That
+// undercounts play on two devices between syncs: only the busier device's
+// games since then are kept.
+export const mergeProfiles = (local, remote) => {
+    const achievements = { ...remote.achievements };
+    Object.entries(local.achievements).forEach(([id, unlockedAt]) => {
+        achievements[id] = Math.min(unlockedAt, achievements[id] ?? Infinity);
+    });
+    const merged = { ...remote, ...local, achievements };
+    ['gamesPlayed', 'saucersDestroyed', 'shotsFired', 'shotsHit', 'longestLifeMs', 'highestWave', 'highestScore'].forEach((key) => {
+        merged[key] = Math.max(local[key], remote[key]);
+    });
+    merged.asteroidsDestroyed = maxCounts(local.asteroidsDestroyed, remote.asteroidsDestroyed);
+    merged.powerupsCollected = maxCounts(local.powerupsCollected, remote.powerupsCollected);
+    merged.name = local.name || remote.name;
+    return merged;
+};
+
+export const createProfileStore = () => {
+    let profile = loadLocal();
+    let remote = null; // { backend, userId }
+    let saveTimer = null;
+    let pendingSave = null; // the remote a save is waiting to go to
+    const listeners = new Set();
+
+    const writeRemote = ({ backend, userId }) => {
+        backend.saveProfile(userId, profile).catch((error) => {
+            // The next change writes the whole profile again.
+            console.error("Failed to save profile:", error);
+        });
+    };
+
+    // Writes a waiting save now.
+    const flushRemote = () => {
+        clearTimeout(saveTimer);
+        if (pendingSave) writeRemote(pendingSave);
+        pendingSave = null;
+    };
+
+    const saveRemote = () => {
+        clearTimeout(saveTimer);
+        pendingSave = remote;
+        if (!remote) return;
+        saveTimer = setTimeout(flushRemote, SAVE_DELAY_MS);
+    };
+
+    const set = (next) => {
+        profile = next;
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(profile));
+        } catch (error) {
+            console.error("Failed to save profile:", error);
+        }
+        listeners.forEach((listener) => listener(profile));
+    };
+
+    return {
+        get: () => profile,
+
+        subscribe: (listener) => {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+
+        // Applies `change(profile) -> profile` and saves the result.
+        update: (change) => {
+            set(change(profile));
+            saveRemote();
+        },
+
+        // Where to mirror the profile: a backend with loadProfile() and
+        // saveProfile(), and whose profile it is. Null to stop.
+        setRemote: async (backend, userId) => {
+            // A change still waiting goes to the remote it was made under.
+            flushRemote();
+            remote = backend ? { backend, userId } : null;
+            if (!remote) return;
+            const current = remote;
+            try {
+                const saved = await backend.loadProfile(userId);
+                if (remote !== current) return;
+                if (saved) set(mergeProfiles(profile, normalizeProfile(saved)));
+                saveRemote();
+            } catch (error) {
+                console.error("Failed to load profile:", error);
+            }
+        },
+    };
+};
@@ -0,0 +1,204 @@
+import { nanoid } from 'nanoid';
+
+// --- Score Store ---
+// Offline-first score saving. Every score is recorded by the local backend
+// first and queued for upload; the queue is persisted, so scores set offline,
+// without Firebase or before sign-in survive a reload and are submitted once
+// a remote backend is set. A queued score leaves the queue when the server
+// accepts it or refuses it outright. While offline, rate limited or the
+// server is unavailable, every score waits; any other failure puts off just
+// that score, for longer each time, and after MAX_ATTEMPTS it's given up on.
+// A refused or given-up score stays on this device's leaderboard, marked as
+// not ranked.
+
+const QUEUE_KEY = 'asteroid-shooter.pendingScores';
+const RETRY_MS = 30000;
+const MAX_RETRY_MS = 60 * 60 * 1000;
+export const MAX_ATTEMPTS = 10;
+
+// Error codes meaning the server checked the score and won't take it.
+const REJECTED_CODES = new Set(['functions/invalid-argument', 'functions/failed-precondition']);
+
+// Error codes meaning no score can be uploaded just now. These don't count
+// as attempts.
+const WAIT_CODES = new Set([
+    'functions/unavailable',
+    'functions/deadline-exceeded',
+    'functions/resource-exhausted',
+    'functions/unauthenticated',
+]);
+
+const loadQueue = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(QUEUE_KEY));
+        return Array.isArray(saved) ? saved : [];
+    } catch (error) {
+        console.error("Failed to load pending scores:", error);
+        return [];
+    }
+};
+
+// Save results, as returned by submit(): 'synced' (on the shared
+// leaderboard), 'queued' (kept on this device, uploaded later), 'rejected'
+// (refused by the server, kept on this device only), 'failed' (given up on
+// after MAX_ATTEMPTS, kept on this device only) or 'error' (couldn't be kept
+// at all). `message` explains anything but 'synced'.
+
+export const createScoreStore = (local) => {
+    let queue = loadQueue();
+    let remote = null;
+    let running = null; // the sync in progress
+    let retryTimer = null;
+    let lastError = null;
+    const results = new Map(); // localId -> result of its upload
+    const listeners = new Set();
+
+    const status = () => ({
+        online: remote !== null,
+        pending: queue.length,
+        syncing: running !== null,
+        error: lastError,
+    });
+
+    const emit = () => {
+        const current = status();
+        listeners.forEach((listener) => listener(current));
+    };
+
+    const persistQueue = () => {
+        try {
+            localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+        } catch (error) {
+            // Still uploaded from memory if a remote is available this session.
+            console.error("Failed to store pending scores:", error);
+        }
+    };
+
+    const dequeue = (item) => {
+        queue = queue.filter((other) => other.localId !== item.localId);
+        persistQueue();
+    };
+
+    // Puts off a score's next upload, backing off each time, or gives up on
+    // it after MAX_ATTEMPTS.
+    const retryLater = (item, message) => {
+        const attempts = (item.attempts ?? 0) + 1;
+        if (attempts >= MAX_ATTEMPTS) {
+            local.markUnranked(item.localId);
+            dequeue(item);
+            return { state: 'failed', message };
+        }
+        const retryAt = Date.now() + Math.min(RETRY_MS * 2 ** (attempts - 1), MAX_RETRY_MS);
+        queue = queue.map((other) => (other.localId === item.localId ? { ...other, attempts, retryAt } : other));
+        persistQueue();
+        return { state: 'queued', message };
+    };
+
+    // Resolves to the score's save result, or null if every score has to wait.
+    const upload = async (item) => {
+        try {
+            // Scores queued before there were game modes have no `mode`;
+            // the server takes those as classic.
+            await remote.submitScore({ mode: item.mode, name: item.name, score: item.score, replay: item.replay });
+            local.markSynced(item.localId);
+            dequeue(item);
+            return { state: 'synced', message: null };
+        } catch (error) {
+            if (REJECTED_CODES.has(error.code)) {
+                local.markUnranked(item.localId);
+                dequeue(item);
+                return { state: 'rejected', message: error.message };
+            }
+            lastError = error.message;
+            // Callable functions report a dropped connection as 'internal'.
+            if (WAIT_CODES.has(error.code) || !navigator.onLine) return null;
+            return retryLater(item, error.message);
+        }
+    };
+
+    const runSync = async () => {
+        clearTimeout(retryTimer);
+        lastError = null;
+        // Scores queued during the pass are left for the next one.
+        for (const item of queue) {
+            if (!remote) break;
+            if (item.retryAt > Date.now()) continue;
+            const result = await upload(item);
+            if (!result) break;
+            results.set(item.localId, result);
+        }
+        if (remote && queue.length > 0) {
+            const nextRetry = Math.min(...queue.map((item) => item.retryAt ?? 0));
+            retryTimer = setTimeout(sync, Math.max(RETRY_MS, nextRetry - Date.now()));
+        }
+    };
+
+    // Uploads the queue, oldest first, skipping scores that are being put
+    // off and stopping if every score has to wait. Resolves once this pass is
+    // over.
+    const sync = () => {
+        if (!running && remote) {
+            running = runSync().finally(() => {
+                running = null;
+                emit();
+            });
+            emit();
+        }
+        return running ?? Promise.resolve();
+    };
+
+    return {
+        status,
+
+        subscribe: (listener) => {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+
+        // The backend to upload to, or null while there isn't one.
+        setRemote: (backend) => {
+            remote = backend;
+            if (!remote) clearTimeout(retryTimer);
+            emit();
+            sync();
+        },
+
+        sync,
+
+        // Records a finished run and tries to upload it straight away.
+        // Resolves to its save result, with the run's `localId`: passing that
+        // back in tries the same run again, if it's still queued, rather than
+        // recording it twice.
+        submit: async ({ localId = null, mode, userId, name, score, wave, replay }) => {
+            let item = queue.find((other) => other.localId === localId);
+            let saveError = null;
+            if (item) {
+                // Tried again now, however long it was being put off for.
+                item = { ...item, retryAt: 0 };
+                queue = queue.map((other) => (other.localId === localId ? item : other));
+                results.delete(localId);
+            } else {
+                let entry;
+                try {
+                    entry = local.addScore({ mode, userId, name, score, wave, replay });
+                } catch (error) {
+                    console.error("Failed to save score locally:", error);
+                    saveError = error.message;
+                }
+                item = { localId: entry?.id ?? nanoid(), mode, name, score, replay };
+                queue = [...queue, item];
+            }
+            persistQueue();
+            emit();
+
+            // Wait out a pass already under way, which may not have seen
+            // this score, then run one that will.
+            await running;
+            await sync();
+            const result = results.get(item.localId);
+            if (result) return { ...result, localId: item.localId };
+            if (saveError) return { state: 'error', message: saveError, localId: item.localId };
+            return { state: 'queued', message: remote ? lastError : null, localId: item.localId };
+        },
+    };
+};
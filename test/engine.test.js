@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGame, step, TICK_MS } from '../src/game/engine.js';
+
+// Turns, thrusts and fires in a fixed pattern, jumping now and then.
+const inputsAt = (tick) => ({
+    rotate: Math.sin(tick / 40),
+    aim: null,
+    thrust: tick % 300 < 120 ? 1 : 0,
+    fire: tick % 12 === 0,
+    hyperspace: tick % 1000 === 999,
+});
+
+const play = (seed, ticks) => {
+    const state = createGame({ seed });
+    for (let tick = 0; tick < ticks; tick++) step(state, inputsAt(tick), TICK_MS);
+    return state;
+};
+
+test('a seed and the same inputs always play out the same', () => {
+    const first = play(1234, 3000);
+    const second = play(1234, 3000);
+    assert.deepEqual(second, first);
+    assert.ok(first.score > 0, 'the run should score something');
+});
+
+test('different seeds lay out different fields', () => {
+    const positions = (state) => state.asteroids.map(({ x, y }) => [x, y]);
+    assert.notDeepEqual(positions(play(1, 1)), positions(play(2, 1)));
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGame, createInputs, step, TICK_MS, WORLD_HEIGHT, WORLD_WIDTH } from '../src/game/engine.js';
+import { interpolate } from '../src/game/loop.js';
+import { applyFrames, createFrameBuffer, createView, encodeFrame, pushFrame } from '../src/net/frames.js';
+
+const INTERPOLATION_DELAY_MS = 250;
+
+// A frame as the guest gets it: through JSON, like a Firestore document.
+const send = (state, seq, events = state.events) => ({ ...JSON.parse(JSON.stringify(encodeFrame(state, events))), seq });
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) <= 0.05, `${message}: ${actual} vs ${expected}`);
+
+// Two frames a few ticks apart; between them the first ship wraps across
+// the right edge of the field and the game ends.
+const playTwoFrames = () => {
+    const state = createGame({ seed: 99, players: 2 });
+    const inputs = [createInputs(), createInputs()];
+    for (let i = 0; i < 10; i++) step(state, inputs, TICK_MS);
+    state.ships[0].x = WORLD_WIDTH - 2;
+    const first = send(state, 0);
+    const before = structuredClone(state.asteroids);
+    for (let i = 0; i < 6; i++) step(state, inputs, TICK_MS);
+    state.ships[0].x = 1;
+    state.over = true;
+    const second = send(state, 1, [{ type: 'gameOver' }]);
+    return { state, first, second, before };
+};
+
+test('a frame carries the field to the guest', () => {
+    const { state, first, second } = playTwoFrames();
+    const buffer = createFrameBuffer();
+    const view = createView({ players: 2 });
+    pushFrame(buffer, first, 1000);
+    pushFrame(buffer, second, 1000 + second.time - first.time);
+    const alpha = applyFrames(buffer, view, 1000 + second.time - first.time + INTERPOLATION_DELAY_MS);
+    assert.equal(alpha, 1);
+    assert.equal(view.over, true);
+    assert.equal(view.score, state.score);
+    assert.equal(view.wave, state.wave);
+    assert.equal(view.asteroids.length, state.asteroids.length);
+    view.asteroids.forEach((asteroid, i) => {
+        assert.equal(asteroid.id, state.asteroids[i].id);
+        close(asteroid.x, state.asteroids[i].x, 'asteroid x');
+        close(asteroid.y, state.asteroids[i].y, 'asteroid y');
+    });
+    view.ships.forEach((ship, i) => {
+        close(ship.x, state.ships[i].x, 'ship x');
+        close(ship.y, state.ships[i].y, 'ship y');
+    });
+    assert.deepEqual(view.events.map(({ type }) => type), [...first.events.map(({ type }) => type), 'gameOver']);
+});
+
+test('the guest draws between frames, and a wrapped ship where it is', () => {
+    const { state, first, second, before } = playTwoFrames();
+    const buffer = createFrameBuffer();
+    const view = createView({ players: 2 });
+    const gap = second.time - first.time;
+    pushFrame(buffer, first, 1000);
+    pushFrame(buffer, second, 1000 + gap);
+    const alpha = applyFrames(buffer, view, 1000 + gap + INTERPOLATION_DELAY_MS - gap / 2);
+    close(alpha, 0.5, 'alpha');
+
+    const asteroid = view.asteroids[0];
+    const drawn = interpolate(asteroid, alpha, WORLD_WIDTH, WORLD_HEIGHT);
+    close(drawn.x, (before[0].x + state.asteroids[0].x) / 2, 'asteroid drawn x');
+    close(drawn.y, (before[0].y + state.asteroids[0].y) / 2, 'asteroid drawn y');
+
+    const ship = view.ships[0];
+    close(ship.px, WORLD_WIDTH - 2, 'ship previous x');
+    close(ship.x, 1, 'ship x');
+    assert.deepEqual(interpolate(ship, alpha, WORLD_WIDTH, WORLD_HEIGHT), { x: ship.x, y: ship.y });
+});
+
+test('stale and repeated frames are dropped', () => {
+    const { first, second } = playTwoFrames();
+    const buffer = createFrameBuffer();
+    assert.equal(pushFrame(buffer, second, 0), true);
+    assert.equal(pushFrame(buffer, second, 1), false);
+    assert.equal(pushFrame(buffer, first, 2), false);
+    assert.equal(buffer.frames.length, 1);
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { dailyChallengeDay, dailySeed } from '../src/game/modes.js';
+import { dayKey } from '../src/shared/periods.js';
+
+const at = (iso) => new Date(iso);
+
+test('dailySeed() gives each day its own fixed seed', () => {
+    // Pinned: a change here strands every run of a day still being submitted.
+    assert.equal(dailySeed('2024-03-09'), 2206841818);
+    assert.equal(dailySeed('2024-03-10'), 4136017740);
+    const seeds = new Set(Array.from({ length: 366 }, (_, i) => dailySeed(dayKey(new Date(Date.UTC(2024, 0, 1 + i))))));
+    assert.equal(seeds.size, 366);
+    seeds.forEach((seed) => assert.ok(Number.isInteger(seed) && seed >= 0 && seed < 2 ** 32));
+});
+
+test("dailyChallengeDay() takes today's and yesterday's challenge only", () => {
+    const now = at('2024-03-10T12:00:00Z');
+    assert.equal(dailyChallengeDay(dailySeed('2024-03-10'), now), '2024-03-10');
+    assert.equal(dailyChallengeDay(dailySeed('2024-03-09'), now), '2024-03-09');
+    assert.equal(dailyChallengeDay(dailySeed('2024-03-08'), now), null);
+    assert.equal(dailyChallengeDay(dailySeed('2024-03-11'), now), null);
+    assert.equal(dailyChallengeDay(12345, now), null);
+});
+
+test('a run started just before UTC midnight is still taken just after it', () => {
+    // The client picks the challenge by its own UTC day, as App does.
+    const started = at('2024-02-29T23:59:30Z');
+    const seed = dailySeed(dayKey(started));
+    assert.equal(dailyChallengeDay(seed, started), '2024-02-29');
+    assert.equal(dailyChallengeDay(seed, at('2024-03-01T00:00:00Z')), '2024-02-29');
+    assert.equal(dailyChallengeDay(seed, at('2024-03-01T23:59:59.999Z')), '2024-02-29');
+    assert.equal(dailyChallengeDay(seed, at('2024-03-02T00:00:00Z')), null);
+});
+
+test("the next day's challenge isn't taken before UTC midnight", () => {
+    const seed = dailySeed('2025-01-01');
+    assert.equal(dailyChallengeDay(seed, at('2024-12-31T23:59:59.999Z')), null);
+    assert.equal(dailyChallengeDay(seed, at('2025-01-01T00:00:00Z')), '2025-01-01');
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { dayKey, weekKey } from '../src/shared/periods.js';
+
+const at = (iso) => new Date(iso);
+
+test('dayKey() is the UTC date', () => {
+    assert.equal(dayKey(at('2024-03-09T12:00:00Z')), '2024-03-09');
+    assert.equal(dayKey(at('2024-03-09T23:59:59.999Z')), '2024-03-09');
+    assert.equal(dayKey(at('2024-03-10T00:00:00Z')), '2024-03-10');
+    assert.equal(dayKey(at('2024-03-09T23:30:00-05:00')), '2024-03-10');
+});
+
+test('weekKey() gives the ISO week', () => {
+    assert.equal(weekKey(at('2024-03-09T12:00:00Z')), '2024-W10');
+    assert.equal(weekKey(at('2024-12-30T00:00:00Z')), '2025-W01');
+});
+
+test('weekKey() puts the days around new year in the week their Thursday is in', () => {
+    assert.equal(weekKey(at('2020-12-31T12:00:00Z')), '2020-W53');
+    assert.equal(weekKey(at('2021-01-01T00:00:00Z')), '2020-W53');
+    assert.equal(weekKey(at('2021-01-03T23:59:59Z')), '2020-W53');
+    assert.equal(weekKey(at('2021-01-04T00:00:00Z')), '2021-W01');
+    assert.equal(weekKey(at('2019-12-30T00:00:00Z')), '2020-W01');
+    assert.equal(weekKey(at('2022-01-02T12:00:00Z')), '2021-W52');
+});
+
+test('weekKey() rolls over from Sunday to Monday at UTC midnight', () => {
+    assert.equal(weekKey(at('2024-03-10T23:59:59.999Z')), '2024-W10');
+    assert.equal(weekKey(at('2024-03-11T00:00:00Z')), '2024-W11');
+});
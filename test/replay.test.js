@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGame, step, TICK_MS } from '../src/game/engine.js';
+import { GAME_MODES } from '../src/game/modes.js';
+import {
+    createRecorder,
+    encodeReplay,
+    quantizeInputs,
+    recordTick,
+    replayInputs,
+    runReplay,
+    validateReplay,
+} from '../src/game/replay.js';
+
+const inputsAt = (tick) => ({
+    rotate: Math.sin(tick / 40),
+    aim: tick % 500 < 100 ? (tick / 70) % (2 * Math.PI) : null,
+    thrust: tick % 300 < 120 ? 1 : 0,
+    fire: tick % 12 === 0,
+    hyperspace: tick % 1000 === 999,
+});
+
+// Plays and records a run of `mode`, as App does.
+const record = (mode, seed, maxTicks) => {
+    const state = createGame({ seed, rules: GAME_MODES[mode].rules });
+    const recorder = createRecorder(state, mode);
+    const played = [];
+    for (let tick = 0; tick < maxTicks && !state.over; tick++) {
+        const inputs = quantizeInputs(inputsAt(tick));
+        recordTick(recorder, inputs);
+        played.push(inputs);
+        step(state, inputs, TICK_MS);
+    }
+    return { state, replay: encodeReplay(recorder), played };
+};
+
+test('an encoded replay decodes to the inputs that were recorded', () => {
+    const { replay, played } = record('classic', 42, 2000);
+    assert.equal(replay.ticks, played.length);
+    assert.deepEqual([...replayInputs(replay)], played);
+});
+
+test('running a replay reproduces the score it was recorded with', () => {
+    for (const mode of ['classic', 'timeAttack']) {
+        const { state, replay } = record(mode, 7, 60 * 60 * 3);
+        const result = runReplay(JSON.parse(JSON.stringify(replay)));
+        assert.equal(result.score, state.score, mode);
+        assert.equal(result.wave, state.wave, mode);
+        assert.equal(result.over, state.over, mode);
+    }
+});
+
+test('a replay plays back by its mode rules, not the ones it carries', () => {
+    const { state, replay } = record('timeAttack', 7, 60 * 60 * 3);
+    const result = runReplay({ ...replay, rules: { ...replay.rules, timeLimit: 0 } });
+    assert.equal(result.time, state.time);
+    assert.equal(result.score, state.score);
+});
+
+test('runReplay() refuses a replay whose length does not match its inputs', () => {
+    const { replay } = record('classic', 3, 100);
+    assert.throws(() => runReplay({ ...replay, ticks: replay.ticks + 1 }), /does not match/);
+});
+
+test('validateReplay() accepts a recorded replay', () => {
+    const { replay } = record('classic', 3, 100);
+    assert.doesNotThrow(() => validateReplay(replay, { maxTicks: 100, maxInputsLength: replay.inputs.length }));
+});
+
+test('validateReplay() rejects replays runReplay() could not run', () => {
+    const { replay } = record('classic', 3, 100);
+    const cases = [
+        [null, /missing/],
+        [{ ...replay, version: replay.version - 1 }, /version/],
+        [{ ...replay, tickMs: 20 }, /tick length/],
+        [{ ...replay, seed: 1.5 }, /seed/],
+        [{ ...replay, mode: 'nope' }, /game mode/],
+        [{ ...replay, mode: 'toString' }, /game mode/],
+        [{ ...replay, ticks: -1 }, /length/],
+        [{ ...replay, inputs: 42 }, /malformed/],
+        [{ ...replay, inputs: '1,0,n,1' }, /malformed/],
+        [{ ...replay, inputs: '1,0,n,1,4' }, /malformed/],
+        [{ ...replay, inputs: `${replay.inputs} ` }, /malformed/],
+    ];
+    for (const [bad, message] of cases) assert.throws(() => validateReplay(bad), message);
+    assert.throws(() => validateReplay(replay, { maxTicks: 99 }), /length/);
+    assert.throws(() => validateReplay(replay, { maxInputsLength: replay.inputs.length - 1 }), /too long/);
+});
@@ -0,0 +1,146 @@
+import { afterEach, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_ATTEMPTS, createScoreStore } from '../src/storage/scoreStore.js';
+
+const QUEUE_KEY = 'asteroid-shooter.pendingScores';
+
+const failure = (code) => Object.assign(new Error(code), { code });
+
+// A local backend that only records what it's told.
+const createLocal = () => {
+    let count = 0;
+    const calls = { added: [], synced: [], unranked: [] };
+    return {
+        calls,
+        addScore: (score) => {
+            calls.added.push(score);
+            count += 1;
+            return { id: `local-${count}` };
+        },
+        markSynced: (id) => calls.synced.push(id),
+        markUnranked: (id) => calls.unranked.push(id),
+    };
+};
+
+// A remote backend whose submitScore() fails with `failures[name]`, if set.
+const createRemote = (failures = {}) => {
+    const submitted = [];
+    return {
+        submitted,
+        submitScore: async (data) => {
+            submitted.push(data.name);
+            if (failures[data.name]) throw failure(failures[data.name]);
+            return { id: `remote-${data.name}` };
+        },
+    };
+};
+
+const run = (name) => ({ mode: 'classic', userId: 'player', name, score: 100, wave: 2, replay: { inputs: '' } });
+
+const savedQueue = () => JSON.parse(globalThis.localStorage.getItem(QUEUE_KEY));
+
+let stores;
+
+const createStore = (local) => {
+    const store = createScoreStore(local);
+    stores.push(store);
+    return store;
+};
+
+beforeEach(() => {
+    const items = new Map();
+    globalThis.localStorage = {
+        getItem: (key) => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, String(value)),
+    };
+    Object.defineProperty(globalThis, 'navigator', { value: { onLine: true }, configurable: true });
+    stores = [];
+});
+
+// Clears any retry still scheduled.
+afterEach(() => stores.forEach((store) => store.setRemote(null)));
+
+test('a score the server takes is marked synced and leaves the queue', async () => {
+    const local = createLocal();
+    const store = createStore(local);
+    store.setRemote(createRemote());
+    const result = await store.submit(run('ACE'));
+    assert.equal(result.state, 'synced');
+    assert.deepEqual(local.calls.synced, [result.localId]);
+    assert.equal(store.status().pending, 0);
+    assert.deepEqual(savedQueue(), []);
+});
+
+test('a score the server refuses leaves the queue but stays on this device', async () => {
+    const local = createLocal();
+    const store = createStore(local);
+    store.setRemote(createRemote({ ACE: 'functions/failed-precondition' }));
+    const result = await store.submit(run('ACE'));
+    assert.equal(result.state, 'rejected');
+    assert.deepEqual(local.calls.unranked, [result.localId]);
+    assert.equal(store.status().pending, 0);
+});
+
+test('a wait code stops the pass and keeps the queue as it was', async () => {
+    const store = createStore(createLocal());
+    await store.submit(run('ONE'));
+    await store.submit(run('TWO'));
+    const remote = createRemote({ ONE: 'functions/unavailable' });
+    store.setRemote(remote);
+    await store.sync();
+    assert.deepEqual(remote.submitted, ['ONE']);
+    assert.deepEqual(savedQueue().map(({ name, attempts }) => [name, attempts]), [['ONE', undefined], ['TWO', undefined]]);
+});
+
+test('any other failure puts off that score and moves on to the next', async () => {
+    const local = createLocal();
+    const store = createStore(local);
+    await store.submit(run('ONE'));
+    await store.submit(run('TWO'));
+    const remote = createRemote({ ONE: 'functions/internal' });
+    store.setRemote(remote);
+    await store.sync();
+    assert.deepEqual(remote.submitted, ['ONE', 'TWO']);
+    const [item] = savedQueue();
+    assert.equal(item.name, 'ONE');
+    assert.equal(item.attempts, 1);
+    assert.ok(item.retryAt > Date.now());
+    assert.deepEqual(local.calls.synced, ['local-2']);
+});
+
+test(`a score is given up on after ${MAX_ATTEMPTS} attempts and kept on this device`, async () => {
+    globalThis.localStorage.setItem(QUEUE_KEY, JSON.stringify([
+        { localId: 'local-1', mode: 'classic', name: 'ACE', score: 100, replay: {}, attempts: MAX_ATTEMPTS - 1, retryAt: 0 },
+    ]));
+    const local = createLocal();
+    const store = createStore(local);
+    store.setRemote(createRemote({ ACE: 'functions/internal' }));
+    await store.sync();
+    assert.equal(store.status().pending, 0);
+    assert.deepEqual(local.calls.unranked, ['local-1']);
+});
+
+test('the queue survives a reload and is uploaded once there is a remote', async () => {
+    await createStore(createLocal()).submit(run('ACE'));
+    const local = createLocal();
+    const reloaded = createStore(local);
+    assert.equal(reloaded.status().pending, 1);
+    reloaded.setRemote(createRemote());
+    await reloaded.sync();
+    assert.equal(reloaded.status().pending, 0);
+    assert.deepEqual(local.calls.synced, ['local-1']);
+});
+
+test('saving a run again retries it rather than recording it twice', async () => {
+    const local = createLocal();
+    const store = createStore(local);
+    const failures = { ACE: 'functions/internal' };
+    store.setRemote(createRemote(failures));
+    const first = await store.submit(run('ACE'));
+    assert.equal(first.state, 'queued');
+    delete failures.ACE;
+    const second = await store.submit({ ...run('ACE'), localId: first.localId });
+    assert.equal(second.state, 'synced');
+    assert.equal(second.localId, first.localId);
+    assert.equal(local.calls.added.length, 1);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { INITIAL_SCREEN, SCREENS, transition } from '../src/screens.js';
+
+const walk = (screen, events) => events.reduce(transition, screen);
+
+test('every listed event leads to a screen that exists', () => {
+    assert.ok(Object.hasOwn(SCREENS, INITIAL_SCREEN));
+    for (const [screen, events] of Object.entries(SCREENS)) {
+        for (const [event, next] of Object.entries(events)) {
+            assert.ok(Object.hasOwn(SCREENS, next), `${screen} --${event}--> ${next}`);
+            assert.equal(transition(screen, event), next);
+        }
+    }
+});
+
+test('events a screen does not list leave it where it is', () => {
+    const events = new Set(Object.values(SCREENS).flatMap(Object.keys));
+    for (const [screen, listed] of Object.entries(SCREENS)) {
+        for (const event of events) {
+            if (!Object.hasOwn(listed, event)) assert.equal(transition(screen, event), screen, `${screen} ignores ${event}`);
+        }
+        assert.equal(transition(screen, 'noSuchEvent'), screen);
+        assert.equal(transition(screen, 'toString'), screen);
+    }
+});
+
+test('a game can be paused, resumed and quit', () => {
+    assert.equal(walk('start', ['chooseMode', 'play', 'pause']), 'paused');
+    assert.equal(walk('paused', ['resume', 'togglePause', 'togglePause']), 'playing');
+    assert.equal(walk('playing', ['pause', 'quit']), 'start');
+    assert.equal(transition('playing', 'quit'), 'playing');
+});
+
+test('a finished game is saved to the leaderboard or played again', () => {
+    assert.equal(walk('playing', ['gameOver', 'saved']), 'leaderboard');
+    assert.equal(walk('playing', ['gameOver', 'play']), 'playing');
+    assert.equal(transition('leaderboard', 'saved'), 'leaderboard');
+});
+
+test('replays and matches end on the screens they started from', () => {
+    assert.equal(walk('leaderboard', ['play', 'replayOver']), 'leaderboard');
+    assert.equal(walk('leaderboard', ['play', 'pause', 'stopWatching']), 'leaderboard');
+    assert.equal(walk('lobby', ['play', 'matchOver']), 'lobby');
+    assert.equal(walk('lobby', ['play', 'pause', 'matchOver']), 'lobby');
+    assert.equal(walk('lobby', ['play', 'pause', 'leaveMatch']), 'lobby');
+    assert.equal(transition('playing', 'leaveMatch'), 'playing');
+});
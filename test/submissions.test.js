@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NAME_MAX_LENGTH, RATE_LIMIT, sanitizeName, takeRateLimitSlot } from '../functions/submissions.js';
+
+test('sanitizeName() keeps printable characters and collapses whitespace', () => {
+    assert.equal(sanitizeName('  ACE   pilot\t'), 'ACE pilot');
+    assert.equal(sanitizeName('a\u0000b\u200bc'), 'abc');
+    assert.equal(sanitizeName('<script>'), 'script');
+    assert.equal(sanitizeName('\uff21\uff22\uff23'), 'ABC');
+});
+
+test('sanitizeName() caps the length in characters, not code units', () => {
+    assert.equal(sanitizeName('x'.repeat(40)), 'x'.repeat(NAME_MAX_LENGTH));
+    assert.equal(sanitizeName('🚀'.repeat(20)), '🚀'.repeat(NAME_MAX_LENGTH));
+    assert.equal(sanitizeName(`${'x'.repeat(NAME_MAX_LENGTH - 1)} y`), 'x'.repeat(NAME_MAX_LENGTH - 1));
+});
+
+test('sanitizeName() returns an empty name for anything else', () => {
+    assert.equal(sanitizeName(undefined), '');
+    assert.equal(sanitizeName(42), '');
+    assert.equal(sanitizeName(' \n<>\u0007 '), '');
+});
+
+test('takeRateLimitSlot() adds the submission and forgets old ones', () => {
+    const now = 10 * RATE_LIMIT.windowMs;
+    const old = now - RATE_LIMIT.windowMs;
+    const recent = now - RATE_LIMIT.minIntervalMs;
+    assert.deepEqual(takeRateLimitSlot([], now), [now]);
+    assert.deepEqual(takeRateLimitSlot([old, recent], now), [recent, now]);
+});
+
+test('takeRateLimitSlot() refuses submissions too close together', () => {
+    const now = 10 * RATE_LIMIT.windowMs;
+    assert.equal(takeRateLimitSlot([now - RATE_LIMIT.minIntervalMs + 1], now), null);
+});
+
+test('takeRateLimitSlot() refuses a submission over the hourly limit', () => {
+    const now = 10 * RATE_LIMIT.windowMs;
+    const spacing = RATE_LIMIT.minIntervalMs;
+    const full = Array.from({ length: RATE_LIMIT.maxPerWindow }, (_, i) => now - (i + 1) * spacing);
+    assert.equal(takeRateLimitSlot(full, now), null);
+    assert.equal(takeRateLimitSlot(full.slice(1), now).length, RATE_LIMIT.maxPerWindow);
+});